@@ -7,20 +7,114 @@ const path = require("path");
 const fs = require("fs");
 const axios = require("axios");
 require("dotenv").config();
-const admin = require("./utils/firebaseAdmin");
+const verifyToken = require("./utils/verifyToken");
 const cron = require("node-cron");
+const {
+  ensureLedgerIndexes,
+  claimReminder,
+  hasReminder,
+  deferReminder,
+  claimDeferredReminder,
+  recordDelivery,
+  getDeliveryHistory,
+} = require("./utils/reminderLedger");
+const {
+  DEFAULT_REMINDER_OFFSETS,
+  parseReminderOffsets,
+  formatOffset,
+  resolveReminderOffsets,
+} = require("./utils/reminderOffsets");
+const {
+  parseRecurrence,
+  seriesFields,
+  materializeNextOccurrence,
+} = require("./utils/recurrence");
+const {
+  OPEN_STATUSES,
+  isOpen,
+  isOverdue,
+  migrateTaskStatuses,
+} = require("./utils/taskStatus");
+const { subtaskProgress, syncParentStatus } = require("./utils/subtasks");
+const { parseTaskAttributes } = require("./utils/taskAttributes");
+const {
+  DEFAULT_PRESSURE_SETTINGS,
+  parsePressureSettings,
+  calculatePressure,
+} = require("./utils/pressure");
+const {
+  ensurePressureHistoryIndexes,
+  recordPressureSnapshots,
+  getPressureHistory,
+} = require("./utils/pressureHistory");
+const { ensureTaskIndexes, findTasksPage } = require("./utils/taskQuery");
+const {
+  digestSettingsOf,
+  parseDigestSettings,
+  dueDigests,
+  buildDailyDigest,
+  buildWeeklyDigest,
+} = require("./utils/digest");
+const {
+  isValidTimeZone,
+  isValidLocale,
+  formatDateTime,
+} = require("./utils/timezone");
+const { resolveDeadline } = require("./utils/dateExpression");
+const {
+  quietHoursOf,
+  parseQuietHours,
+  bypassesQuietHours,
+  quietHoursEnd,
+} = require("./utils/quietHours");
+const {
+  TASK_TRANSITIONS,
+  MAX_SNOOZES,
+  createTask,
+  matchCategory,
+  transitionTask,
+  snoozeReminder,
+  migrateNaiveDeadlines,
+} = require("./utils/taskService");
+const { dispatchNotification } = require("./utils/notifications");
+const { buildCalendar, parseCalendar } = require("./utils/ical");
+const { parseBulkRequest, runBulkOperation } = require("./utils/bulkTasks");
+const { ensureConversationIndexes } = require("./utils/conversations");
+const { ensureAiUsageIndexes } = require("./utils/aiUsage");
+const {
+  buildExport,
+  tasksToCsv,
+  parseCsv,
+  importData,
+} = require("./utils/dataTransfer");
+const {
+  ensureIcsFeedIndexes,
+  createFeedToken,
+  revokeFeedToken,
+  findUserByFeedToken,
+} = require("./utils/icsFeed");
+const {
+  syncTaskToCalendar,
+  syncAllUsers: syncAllCalendars,
+} = require("./utils/googleCalendar");
+const {
+  ensureTelegramLinkIndexes,
+  importChatIdsFile,
+  createLinkToken,
+  findLinksByUid,
+  updatePreferences,
+} = require("./utils/telegramLinks");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// GLOBAL FOR IN-MEMORY NOTIFIED TASKS
-global.notifiedTasks = global.notifiedTasks || [];
-
 // MIDDLEWARE - MUST BE BEFORE ROUTES!
 app.use(
   cors({
     origin: true,
     credentials: true,
+    // Lets the chat UI read which conversation a reply belongs to
+    exposedHeaders: ["X-Conversation-Id", "Retry-After"],
   })
 );
 app.use(express.json({ limit: "10mb" }));
@@ -38,6 +132,28 @@ const storage = multer.diskStorage({
   },
 });
 const upload = multer({ storage });
+
+// Imported files are only read, never kept as attachments, so they stay in
+// memory - capped, so one upload can't use it all up
+const IMPORT_MAX_BYTES =
+  Number(process.env.IMPORT_MAX_BYTES) || 5 * 1024 * 1024;
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES },
+});
+
+// importUpload.single("file") answering 413 for an oversized file
+const importFile = (req, res, next) =>
+  importUpload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: `File too large (max ${IMPORT_MAX_BYTES} bytes)`,
+      });
+    }
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+
 app.use("/uploads", express.static(uploadsDir));
 
 // File serve route (uploads folder er jonno)
@@ -66,6 +182,8 @@ app.use("/uploads", (req, res, next) => {
 const uri = process.env.MONGODB_URI;
 const client = new MongoClient(uri);
 let dbInstance = null;
+// Filled in once the bot authenticates, used for t.me deep links
+let botUsername = process.env.TELEGRAM_BOT_USERNAME || null;
 
 async function connectDB() {
   try {
@@ -74,12 +192,24 @@ async function connectDB() {
     app.locals.db = dbInstance;
 
     await seedDefaultCategories();
+    await ensureTelegramLinkIndexes(dbInstance);
+    await importChatIdsFile(dbInstance, path.join(__dirname, "chatIds.json"));
+    await ensureTaskIndexes(dbInstance);
+    await ensureLedgerIndexes(dbInstance);
+    await migrateTaskStatuses(dbInstance);
+    await migrateNaiveDeadlines(dbInstance);
+    await ensurePressureHistoryIndexes(dbInstance);
+    await ensureIcsFeedIndexes(dbInstance);
+    await ensureConversationIndexes(dbInstance);
+    await ensureAiUsageIndexes(dbInstance);
 
     // START TELEGRAM BOT
-    const { bot } = require("./telegram");
+    const { bot, launchBot } = require("./telegram");
+    launchBot(dbInstance);
     bot.telegram
       .getMe()
       .then((me) => {
+        botUsername = me.username;
         console.log(`✅ Bot @${me.username} authenticated`);
       })
       .catch((err) => {
@@ -116,39 +246,6 @@ const users = () => app.locals.db.collection("users");
 const tasks = () => app.locals.db.collection("tasks");
 const categories = () => app.locals.db.collection("categories");
 
-// CHAT IDS HELPER
-const getChatIds = () => {
-  const CHAT_IDS_FILE = path.join(__dirname, "chatIds.json");
-  try {
-    if (fs.existsSync(CHAT_IDS_FILE)) {
-      const data = fs.readFileSync(CHAT_IDS_FILE, "utf8");
-      return JSON.parse(data);
-    }
-  } catch (err) {
-    console.error("getChatIds error:", err.message);
-  }
-  return [];
-};
-
-// TOKEN VERIFY MIDDLEWARE
-async function verifyToken(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader?.startsWith("Bearer ")) {
-    return res.status(401).json({ error: "No token provided" });
-  }
-
-  const token = authHeader.split(" ")[1];
-  try {
-    const decoded = await admin.auth().verifyIdToken(token);
-    req.user = decoded;
-    console.log("✅ Token verified for user:", decoded.uid);
-    next();
-  } catch (err) {
-    console.error("❌ Token verification failed:", err.message);
-    return res.status(401).json({ error: "Invalid token" });
-  }
-}
-
 // ROOT ROUTE
 app.get("/", (req, res) => {
   res.json({
@@ -165,72 +262,123 @@ app.get("/", (req, res) => {
 // IMPORT OTHER ROUTES
 const userRoutes = require("./routes/user");
 const aiRoutes = require("./routes/ai");
+const subtaskRoutes = require("./routes/subtasks");
+const notificationRoutes = require("./routes/notifications");
+const googleRoutes = require("./routes/google");
 app.use("/api/user", userRoutes);
 app.use("/api/ai", aiRoutes);
+app.use("/api/tasks/:id/subtasks", subtaskRoutes);
+app.use("/api/notification-settings", notificationRoutes);
+app.use("/api/google", googleRoutes);
+
+// NOTIFICATION MESSAGES
+// Times are shown in the user's own timezone and locale
+const dueAt = (task, user) =>
+  formatDateTime(task.deadline, user?.timezone, user?.locale);
+
+const reminderMessage = (task, user, offset = 0) => {
+  const heading =
+    offset > 0 ? `⏰ REMINDER (in ${formatOffset(offset)})` : "⏰ REMINDER";
+  return `${heading}: "${task.title}"\n📋 Category: ${
+    task.category
+  }\n📅 Due: ${dueAt(task, user)}`;
+};
 
-// TELEGRAM NOTIFICATION - FIXED VERSION
-const sendTelegramNotification = async (task, taskUid) => {
-  const chatIds = getChatIds();
-  const userChatIds = chatIds
-    .filter((c) => c.uid === taskUid)
-    .map((c) => c.chatId);
-
-  console.log(`🔔 Checking Telegram for user ${taskUid}:`, {
-    totalChats: chatIds.length,
-    userChats: userChatIds.length,
-  });
+const snoozedMessage = (task, user) =>
+  `💤 SNOOZED REMINDER: "${task.title}"\n📋 Category: ${
+    task.category
+  }\n📅 Due: ${dueAt(task, user)}`;
+
+const overdueMessage = (task, user, daysOverdue = 0) => {
+  const heading =
+    daysOverdue > 0
+      ? `🔴 STILL OVERDUE (${daysOverdue} day${daysOverdue > 1 ? "s" : ""})`
+      : "🔴 OVERDUE";
+  return `${heading}: "${task.title}"\n📋 Category: ${
+    task.category
+  }\n📅 Was due: ${dueAt(task, user)}`;
+};
 
-  if (userChatIds.length === 0) {
-    console.log(`⚠️ No Telegram chat IDs found for user ${taskUid}`);
-    return;
+// IMPROVED REMINDER CHECK FUNCTION
+const REMINDER_CATCH_UP_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Daily "still overdue" nudges stop after a week
+const MAX_OVERDUE_NUDGES = 7;
+
+// Claims a reminder in the ledger, sends it and records the outcome.
+// Returns the delivery status, or null if it was already handled.
+async function deliverReminder(
+  user,
+  task,
+  kind,
+  scheduledFor,
+  message,
+  type = "reminders"
+) {
+  const entry = await claimReminder(dbInstance, { task, kind, scheduledFor });
+
+  if (!entry) {
+    console.log(`⏭️ Task "${task.title}" already notified (${kind})`);
+    return null;
   }
 
-  const message = `⏰ REMINDER: "${task.title}"\n📋 Category: ${
-    task.category
-  }\n📅 Due: ${new Date(task.deadline).toLocaleString()}`;
+  console.log(`🚨 MATCH FOUND! Task: "${task.title}" | ${kind}`);
 
-  for (const chatId of userChatIds) {
-    try {
-      console.log(`📤 Sending notification to chatId: ${chatId}`);
-      await axios.post(
-        `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
-        { chat_id: chatId, text: message }
-      );
-      console.log(`✅ Notification sent successfully to ${chatId}`);
-    } catch (err) {
-      console.error(
-        `❌ Telegram send failed for ${chatId}:`,
-        err.response?.data || err.message
-      );
-    }
+  // Every channel the user enabled; Telegram adds the task buttons
+  const notification = {
+    type,
+    text: message,
+    ...(type === "reminders" && { taskId: task._id }),
+  };
+
+  // During quiet hours it waits for triggerDeferredCheck()
+  const quietUntil = bypassesQuietHours(task) ? null : quietHoursEnd(user);
+  if (quietUntil) {
+    await deferReminder(dbInstance, entry, quietUntil, notification);
+    console.log(
+      `🌙 Quiet hours - ${kind} deferred to ${quietUntil.toISOString()}`
+    );
+    return "deferred";
   }
-};
 
-// IMPROVED REMINDER CHECK FUNCTION
+  const results = await dispatchNotification(
+    dbInstance,
+    task.uid,
+    notification
+  );
+  const status = await recordDelivery(dbInstance, entry, results, notification);
+
+  console.log(`✅ Reminder ${status} for task: ${task._id} (${kind})`);
+  return status;
+}
+
+// Returns the number of reminders delivered in this run
 async function triggerReminderCheck() {
   if (!dbInstance) {
     console.log("⚠️ DB not ready, skipping reminder check");
-    return;
+    return 0;
   }
 
+  let notificationsSent = 0;
+
   try {
     const now = new Date();
-    // Check for tasks within next 2 minutes (120 seconds)
+    // Reminders due within the next 2 minutes (120 seconds), plus a short
+    // catch-up window for ticks missed during a restart
     const twoMinsLater = new Date(now.getTime() + 2 * 60 * 1000);
+    const windowStart = new Date(now.getTime() - REMINDER_CATCH_UP_MS);
 
     console.log(`🔍 Checking reminders at ${now.toLocaleString()}`);
     console.log(
-      `📅 Time window: ${now.toLocaleString()} to ${twoMinsLater.toLocaleString()}`
+      `📅 Time window: ${windowStart.toLocaleString()} to ${twoMinsLater.toLocaleString()}`
     );
 
     const allUsers = await users().find({}).toArray();
     console.log(`👥 Found ${allUsers.length} total users`);
 
-    let notificationsSent = 0;
-
     for (const user of allUsers) {
       const userTasks = await tasks()
-        .find({ uid: user.uid, completed: false })
+        .find({ uid: user.uid, status: { $in: OPEN_STATUSES } })
         .toArray();
 
       console.log(
@@ -240,40 +388,105 @@ async function triggerReminderCheck() {
       for (const task of userTasks) {
         const deadline = new Date(task.deadline);
         const taskId = task._id.toString();
+        const offsets = resolveReminderOffsets(task, user);
 
         // DETAILED LOGGING FOR EACH TASK
         console.log(`\n📝 Checking task: "${task.title}"`);
         console.log(`   Task ID: ${taskId}`);
         console.log(`   Deadline (raw): ${task.deadline}`);
         console.log(`   Deadline (parsed): ${deadline.toLocaleString()}`);
-        console.log(`   Current time: ${now.toLocaleString()}`);
-        console.log(`   Window end: ${twoMinsLater.toLocaleString()}`);
+        console.log(`   Offsets (min): ${offsets.join(", ") || "none"}`);
         console.log(`   Is future? ${deadline > now}`);
-        console.log(`   Is within 2 min? ${deadline <= twoMinsLater}`);
-        console.log(
-          `   Already notified? ${global.notifiedTasks.includes(taskId)}`
-        );
 
-        // Check if deadline is within the 2-minute window
-        const isInWindow = deadline > now && deadline <= twoMinsLater;
-        const notAlreadySent = !global.notifiedTasks.includes(taskId);
+        if (isNaN(deadline)) {
+          console.log(`❌ Task does NOT match criteria`);
+          continue;
+        }
+
+        const inWindow = (at) => at > windowStart && at <= twoMinsLater;
 
-        if (isInWindow && notAlreadySent) {
-          console.log(
-            `🚨 MATCH FOUND! Task: "${
-              task.title
-            }" | Deadline: ${deadline.toLocaleString()}`
+        // A snoozed reminder fires once more, whatever the deadline
+        if (task.snoozedUntil && inWindow(new Date(task.snoozedUntil))) {
+          const status = await deliverReminder(
+            user,
+            task,
+            "snooze",
+            new Date(task.snoozedUntil),
+            snoozedMessage(task, user)
           );
+          if (status === "sent") notificationsSent++;
+        }
 
-          await sendTelegramNotification(task, user.uid);
-          global.notifiedTasks.push(taskId);
-          notificationsSent++;
+        if (deadline <= now) {
+          // A passed occurrence hands over to the next one in its series
+          if (task.recurrence && !task.nextOccurrenceId) {
+            await materializeNextOccurrence(dbInstance, task, now);
+          }
 
-          console.log(`✅ Notification sent for task: ${taskId}`);
-        } else if (isInWindow && !notAlreadySent) {
-          console.log(`⏭️ Task "${task.title}" already notified`);
-        } else {
-          console.log(`❌ Task does NOT match criteria`);
+          if (!task.overdueAt) {
+            await tasks().updateOne(
+              { _id: task._id, overdueAt: { $exists: false } },
+              { $set: { overdueAt: now } }
+            );
+          }
+
+          // One "overdue" message once the deadline passes, sent by the
+          // first tick that finds no ledger entry for it - so downtime
+          // delays it rather than losing it. After the nudge week it is
+          // old news, and the ledger may have expired its entry.
+          let status = null;
+          if (
+            now - deadline <= MAX_OVERDUE_NUDGES * DAY_MS &&
+            !(await hasReminder(dbInstance, {
+              task,
+              kind: "overdue",
+              scheduledFor: deadline,
+            }))
+          ) {
+            status = await deliverReminder(
+              user,
+              task,
+              "overdue",
+              deadline,
+              overdueMessage(task, user)
+            );
+          }
+
+          // ...and, if the user opted in, one nudge a day after that
+          const daysOverdue = Math.floor((now - deadline) / DAY_MS);
+          const nudgeAt = new Date(deadline.getTime() + daysOverdue * DAY_MS);
+          if (
+            user.overdueNudges &&
+            daysOverdue >= 1 &&
+            daysOverdue <= MAX_OVERDUE_NUDGES &&
+            inWindow(nudgeAt)
+          ) {
+            status = await deliverReminder(
+              user,
+              task,
+              `overdue-nudge:${daysOverdue}`,
+              nudgeAt,
+              overdueMessage(task, user, daysOverdue)
+            );
+          }
+
+          if (status === "sent") notificationsSent++;
+          continue;
+        }
+
+        // Each offset is its own reminder with its own ledger entry
+        for (const offset of offsets) {
+          const fireAt = new Date(deadline.getTime() - offset * 60 * 1000);
+          if (!inWindow(fireAt)) continue;
+
+          const status = await deliverReminder(
+            user,
+            task,
+            `offset:${offset}`,
+            fireAt,
+            reminderMessage(task, user, offset)
+          );
+          if (status === "sent") notificationsSent++;
         }
       }
     }
@@ -281,46 +494,205 @@ async function triggerReminderCheck() {
     console.log(
       `📊 Reminder check complete. Sent ${notificationsSent} notifications.`
     );
-    console.log(
-      `📝 Total notified tasks in memory: ${global.notifiedTasks.length}`
-    );
   } catch (err) {
     console.error("❌ Reminder check error:", err);
   }
+  return notificationsSent;
+}
+
+// DIGEST CHECK - sends each user's daily/weekly digest once, at their time
+async function triggerDigestCheck() {
+  if (!dbInstance) return 0;
+
+  let digestsSent = 0;
+  try {
+    const now = new Date();
+    const digestUsers = await users()
+      .find({
+        $or: [
+          { "digest.daily.enabled": true },
+          { "digest.weekly.enabled": true },
+        ],
+      })
+      .toArray();
+
+    for (const user of digestUsers) {
+      const due = dueDigests(user, now);
+      if (due.length === 0) continue;
+
+      const userTasks = await tasks().find({ uid: user.uid }).toArray();
+
+      for (const { kind, key } of due) {
+        const message =
+          kind === "daily"
+            ? buildDailyDigest(user, userTasks, now)
+            : buildWeeklyDigest(user, userTasks, now);
+
+        // Digests go through the same ledger as task reminders
+        const status = await deliverReminder(
+          user,
+          {
+            _id: `digest:${user.uid}`,
+            uid: user.uid,
+            title: `${kind} digest`,
+          },
+          `digest:${kind}`,
+          new Date(`${key}T00:00:00Z`),
+          message,
+          "digests"
+        );
+        if (status === "sent") digestsSent++;
+      }
+    }
+  } catch (err) {
+    console.error("❌ Digest check error:", err);
+  }
+  return digestsSent;
+}
+
+// DEFERRED CHECK - sends what quiet hours held back, once they are over,
+// and retries targets that failed on an earlier tick
+async function triggerDeferredCheck() {
+  if (!dbInstance) return 0;
+
+  let deferredSent = 0;
+  try {
+    let entry;
+    while ((entry = await claimDeferredReminder(dbInstance))) {
+      // A task finished in the meantime needs no reminder any more
+      if (ObjectId.isValid(entry.taskId)) {
+        const task = await tasks().findOne({
+          _id: new ObjectId(entry.taskId),
+        });
+        if (!task || !isOpen(task)) {
+          await recordDelivery(dbInstance, entry, []);
+          continue;
+        }
+      }
+
+      const results = await dispatchNotification(
+        dbInstance,
+        entry.uid,
+        entry.notification,
+        { targets: entry.retryTargets }
+      );
+      const status = await recordDelivery(dbInstance, entry, results);
+      console.log(
+        `🌅 ${entry.retryTargets ? "Retried" : "Deferred"} ${entry.kind} ${status} for ${entry.taskId}`
+      );
+      if (status === "sent") deferredSent++;
+    }
+  } catch (err) {
+    console.error("❌ Deferred check error:", err);
+  }
+  return deferredSent;
 }
 
-// CONNECT TELEGRAM ROUTE
-app.post("/api/connect-telegram", verifyToken, (req, res) => {
-  const { chatId } = req.body;
-  const uid = req.user.uid;
+// REMINDER DELIVERY HISTORY
+app.get("/api/reminders/:taskId/history", verifyToken, async (req, res) => {
+  try {
+    const { taskId } = req.params;
 
-  console.log(`🔗 Connect Telegram request: uid=${uid}, chatId=${chatId}`);
+    if (!ObjectId.isValid(taskId)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
 
-  if (!chatId) {
-    return res.status(400).json({ error: "chatId required" });
+    const history = await getDeliveryHistory(dbInstance, req.user.uid, taskId);
+    const task = await tasks().findOne(
+      { _id: new ObjectId(taskId), uid: req.user.uid },
+      { projection: { snoozes: 1, snoozeCount: 1 } }
+    );
+    res.json({
+      history,
+      snoozes: task?.snoozes || [],
+      snoozesLeft: Math.max(0, MAX_SNOOZES - (task?.snoozeCount || 0)),
+    });
+  } catch (err) {
+    console.error("Get reminder history error:", err);
+    res.status(500).json({ error: "Failed to fetch reminder history" });
   }
+});
 
-  const CHAT_IDS_FILE = path.join(__dirname, "chatIds.json");
-  const chatIds = getChatIds();
+// TELEGRAM LINK TOKEN - one-time deep link for the bot's /start
+app.post("/api/telegram/link-token", verifyToken, async (req, res) => {
+  try {
+    const { token, expiresAt } = await createLinkToken(
+      dbInstance,
+      req.user.uid
+    );
 
-  if (chatIds.some((c) => c.chatId === chatId)) {
-    console.log(`⚠️ Chat ID ${chatId} already connected`);
-    return res.status(400).json({ error: "Already connected" });
+    console.log(`🔑 Telegram link token issued for ${req.user.uid}`);
+    res.json({
+      token,
+      expiresAt,
+      url: botUsername ? `https://t.me/${botUsername}?start=${token}` : null,
+    });
+  } catch (err) {
+    console.error("Create link token error:", err);
+    res.status(500).json({ error: "Failed to create link token" });
   }
+});
+
+// TELEGRAM NOTIFICATION PREFERENCES
+// Body: { reminders?: boolean, digests?: boolean }
+app.patch("/api/telegram/preferences", verifyToken, async (req, res) => {
+  try {
+    const preferences = {};
+    for (const key of ["reminders", "digests"]) {
+      if (req.body[key] === undefined) continue;
+      if (typeof req.body[key] !== "boolean") {
+        return res.status(400).json({ error: `${key} must be boolean` });
+      }
+      preferences[key] = req.body[key];
+    }
 
-  chatIds.push({ uid, chatId });
-  fs.writeFileSync(CHAT_IDS_FILE, JSON.stringify(chatIds, null, 2));
+    if (!Object.keys(preferences).length) {
+      return res.status(400).json({ error: "No preferences given" });
+    }
 
-  console.log("✅ Telegram connected:", { uid, chatId });
-  console.log("📋 Updated chatIds.json:", chatIds);
+    const updated = await updatePreferences(
+      dbInstance,
+      req.user.uid,
+      preferences
+    );
+    if (!updated) {
+      return res.status(404).json({ error: "Telegram not connected" });
+    }
 
-  res.json({ success: true });
+    res.json({ success: true, preferences });
+  } catch (err) {
+    console.error("Update Telegram preferences error:", err);
+    res.status(500).json({ error: "Failed to update preferences" });
+  }
 });
 
 // CRON JOB - RUN EVERY MINUTE FOR CHECKING REMINDERS
 cron.schedule("* * * * *", async () => {
   console.log("⏰ [CRON] Running reminder check...", new Date().toISOString());
   await triggerReminderCheck();
+  await triggerDigestCheck();
+  await triggerDeferredCheck();
+});
+
+// CRON JOB - GOOGLE CALENDAR SYNC (pulls changes made in the calendar)
+cron.schedule("*/15 * * * *", async () => {
+  if (!dbInstance) return;
+  try {
+    const synced = await syncAllCalendars(dbInstance);
+    if (synced) console.log(`📆 [CRON] Synced ${synced} Google Calendars`);
+  } catch (err) {
+    console.error("❌ Calendar sync error:", err);
+  }
+});
+
+// CRON JOB - DAILY PRESSURE SNAPSHOT (just before each user's midnight)
+cron.schedule("*/5 * * * *", async () => {
+  if (!dbInstance) return;
+  try {
+    await recordPressureSnapshots(dbInstance);
+  } catch (err) {
+    console.error("❌ Pressure snapshot error:", err);
+  }
 });
 
 // Self-ping cron job - server awake rakhbe (every 10 minutes)
@@ -349,13 +721,13 @@ app.get("/api/reminder-ping", async (req, res) => {
   console.log("🚨 Manual reminder check requested!", new Date().toISOString());
 
   try {
-    await triggerReminderCheck();
+    const sent = await triggerReminderCheck();
 
     console.log("✅ Manual reminder check completed!");
     res.json({
       success: true,
       message: "Reminder check done",
-      notifiedTasks: global.notifiedTasks?.length || 0,
+      notificationsSent: sent,
       time: new Date().toISOString(),
     });
   } catch (err) {
@@ -369,17 +741,34 @@ app.get("/api/reminder-ping", async (req, res) => {
 });
 
 // TELEGRAM STATUS
-app.get("/api/telegram/status/:uid", (req, res) => {
-  const { uid } = req.params;
-  const chatIds = getChatIds();
-  const connected = chatIds.some((c) => c.uid === uid);
-
-  console.log(`🔍 Telegram status check for ${uid}:`, {
-    connected,
-    totalConnections: chatIds.length,
-  });
+app.get("/api/telegram/status/:uid", verifyToken, async (req, res) => {
+  try {
+    const { uid } = req.params;
+
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const userLinks = await findLinksByUid(dbInstance, uid);
+    const connected = userLinks.length > 0;
 
-  res.json({ connected });
+    console.log(`🔍 Telegram status check for ${uid}:`, {
+      connected,
+      chats: userLinks.length,
+    });
+
+    res.json({
+      connected,
+      chats: userLinks.map((link) => ({
+        username: link.username,
+        linkedAt: link.linkedAt,
+        preferences: link.preferences,
+      })),
+    });
+  } catch (err) {
+    console.error("Telegram status error:", err);
+    res.status(500).json({ error: "Failed to fetch Telegram status" });
+  }
 });
 
 // SEED DEFAULT CATEGORIES
@@ -408,8 +797,29 @@ app.get("/api/tasks/:uid", verifyToken, async (req, res) => {
     if (req.user.uid !== uid) {
       return res.status(403).json({ error: "Forbidden" });
     }
-    const userTasks = await tasks().find({ uid }).toArray();
-    res.json({ tasks: userTasks });
+    const page = await findTasksPage(dbInstance, uid, req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    // Counted over all tasks, not just this page
+    const now = new Date();
+    const overdueCount = await tasks().countDocuments({
+      uid,
+      status: { $in: OPEN_STATUSES },
+      deadline: { $ne: null, $lt: now.toISOString() },
+    });
+
+    res.json({
+      tasks: page.tasks.map((t) => ({
+        ...t,
+        progress: subtaskProgress(t),
+        overdue: isOverdue(t, now),
+      })),
+      overdueCount,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+    });
   } catch (err) {
     console.error("Get tasks error:", err);
     res.status(500).json({ error: "Failed to fetch tasks" });
@@ -418,15 +828,12 @@ app.get("/api/tasks/:uid", verifyToken, async (req, res) => {
 
 app.post("/api/tasks", verifyToken, upload.single("file"), async (req, res) => {
   try {
-    const { uid, title, category, deadline } = req.body;
-
-    if (!uid || !title || !category || !deadline) {
-      return res.status(400).json({ error: "Missing fields" });
+    // The body uid is optional; the task always belongs to the caller
+    if (req.body.uid !== undefined && req.body.uid !== req.user.uid) {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      return res.status(403).json({ error: "Forbidden" });
     }
 
-    let finalDeadline = deadline;
-    if (!deadline.includes("T")) finalDeadline += "T09:00:00";
-
     const fileInfo = req.file
       ? {
           name: req.file.filename,
@@ -436,18 +843,16 @@ app.post("/api/tasks", verifyToken, upload.single("file"), async (req, res) => {
         }
       : null;
 
-    const result = await tasks().insertOne({
-      uid,
-      title,
-      category,
-      deadline: finalDeadline,
+    const result = await createTask(dbInstance, req.user.uid, {
+      ...req.body,
       file: fileInfo,
-      completed: false,
-      createdAt: new Date(),
     });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
-    console.log("✅ Task created:", result.insertedId);
-    res.json({ taskId: result.insertedId });
+    // The deadline as stored, so clients see how an expression was read
+    res.json({ taskId: result.task._id, deadline: result.task.deadline });
   } catch (err) {
     console.error("Create task error:", err);
     res.status(500).json({ error: "Failed to create task" });
@@ -475,44 +880,191 @@ app.patch(
         return res.status(404).json({ error: "Task not found" });
       }
 
-      const { title, category, deadline } = req.body;
-      let finalDeadline = deadline;
-      if (deadline && !deadline.includes("T")) {
-        finalDeadline = deadline + "T00:00:00.000Z";
-      } else if (deadline) {
-        finalDeadline = new Date(deadline).toISOString();
+      const {
+        title,
+        category,
+        deadline,
+        reminderOffsets,
+        recurrence,
+        status,
+        autoComplete,
+      } = req.body;
+
+      // Done/archived go through their own endpoints
+      if (status !== undefined && !OPEN_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: "Status can only be set to todo or in-progress here",
+        });
+      }
+      if (status !== undefined && !isOpen(currentTask)) {
+        return res
+          .status(400)
+          .json({ error: "Reopen the task before changing its status" });
+      }
+
+      // Recurring tasks: "occurrence" (default) edits only this task,
+      // "series" also applies the edit to every open occurrence
+      const scope = req.query.scope || req.body.scope || "occurrence";
+      if (!["occurrence", "series"].includes(scope)) {
+        return res.status(400).json({ error: "Invalid scope" });
+      }
+      const isSeriesEdit = scope === "series" && !!currentTask.seriesId;
+
+      const attributes = parseTaskAttributes(req.body);
+      if (attributes.error) {
+        return res.status(400).json({ error: attributes.error });
       }
-      const fileInfo = req.file
-        ? {
-            name: req.file.filename,
-            originalName: req.file.originalname,
-            type: req.file.mimetype,
-            path: `/uploads/${req.file.filename}`,
+
+      // Same parsing as creation: no offset means the user's timezone
+      let finalDeadline;
+      if (deadline) {
+        const user = await users().findOne({ uid: req.user.uid });
+        finalDeadline = resolveDeadline(deadline, {
+          timeZone: user?.timezone,
+        });
+        if (!finalDeadline) {
+          return res.status(400).json({ error: "Invalid deadline" });
+        }
+      }
+
+      // "default" (or null) clears the task's own offsets
+      const update = { $set: { ...attributes.fields }, $unset: {} };
+      if (reminderOffsets === null || reminderOffsets === "default") {
+        update.$unset.reminderOffsets = "";
+      } else if (reminderOffsets !== undefined) {
+        const offsets = parseReminderOffsets(reminderOffsets);
+        if (!offsets) {
+          return res.status(400).json({ error: "Invalid reminder offsets" });
+        }
+        update.$set.reminderOffsets = offsets;
+      }
+
+      // "none" (or null) stops the series after this occurrence
+      if (recurrence !== undefined) {
+        if (currentTask.seriesId && !isSeriesEdit) {
+          return res.status(400).json({
+            error: "Recurrence can only be changed for the whole series",
+          });
+        }
+        if (recurrence === null || recurrence === "none") {
+          update.$unset.recurrence = "";
+        } else {
+          const rule = parseRecurrence(recurrence);
+          if (!rule) {
+            return res.status(400).json({ error: "Invalid recurrence rule" });
           }
-        : currentTask.file;
+          if (currentTask.seriesId) {
+            update.$set.recurrence = rule;
+          } else {
+            Object.assign(
+              update.$set,
+              seriesFields(
+                currentTask._id,
+                rule,
+                finalDeadline || currentTask.deadline
+              )
+            );
+          }
+        }
+      }
+
+      // Only what the body actually contains - an undefined value would be
+      // stored as null and wipe the field
+      for (const [field, value] of Object.entries({ title, category })) {
+        if (value === undefined) continue;
+        const trimmed = String(value).trim();
+        if (!trimmed) {
+          return res.status(400).json({ error: `Invalid ${field}` });
+        }
+        update.$set[field] = trimmed;
+      }
+      if (finalDeadline) update.$set.deadline = finalDeadline;
+      if (req.file) {
+        update.$set.file = {
+          name: req.file.filename,
+          originalName: req.file.originalname,
+          type: req.file.mimetype,
+          path: `/uploads/${req.file.filename}`,
+        };
+      }
 
       const oldFilePath =
         req.file && currentTask.file?.path
           ? path.join(__dirname, currentTask.file.path)
           : null;
 
-      await tasks().updateOne(
-        { _id: new ObjectId(id) },
-        {
-          $set: {
-            title,
-            category,
-            deadline: finalDeadline,
-            file: fileInfo,
-            updatedAt: new Date(),
-          },
+      // A deadline moved into the future is no longer overdue
+      if (finalDeadline && new Date(finalDeadline) > new Date()) {
+        update.$unset.overdueAt = "";
+      }
+
+      Object.assign(update.$set, {
+        ...(status && { status }),
+        ...(autoComplete !== undefined && {
+          autoComplete: autoComplete === true || autoComplete === "true",
+        }),
+        updatedAt: new Date(),
+      });
+      if (!Object.keys(update.$unset).length) delete update.$unset;
+
+      if (isSeriesEdit) {
+        // Shared fields go to every open occurrence of the series
+        const shared = { $set: {} };
+        const sharedFields = [
+          "title",
+          "category",
+          "reminderOffsets",
+          "recurrence",
+          "priority",
+          "tags",
+          "estimatedMinutes",
+        ];
+        for (const field of sharedFields) {
+          if (update.$set[field] !== undefined) {
+            shared.$set[field] = update.$set[field];
+          }
+        }
+        if (update.$unset) shared.$unset = update.$unset;
+        if (Object.keys(shared.$set).length || shared.$unset) {
+          await tasks().updateMany(
+            {
+              uid: req.user.uid,
+              seriesId: currentTask.seriesId,
+              status: { $in: OPEN_STATUSES },
+              _id: { $ne: currentTask._id },
+            },
+            shared
+          );
         }
-      );
+
+        // A new deadline re-anchors the series from this occurrence on
+        if (finalDeadline) {
+          update.$set.seriesStart = new Date(finalDeadline);
+          update.$set.scheduledFor = new Date(finalDeadline);
+        }
+      }
+
+      await tasks().updateOne({ _id: new ObjectId(id) }, update);
+
+      // Switching auto-complete on may finish an already ticked checklist
+      if (autoComplete !== undefined) {
+        await syncParentStatus(
+          dbInstance,
+          await tasks().findOne({ _id: new ObjectId(id) })
+        );
+      }
 
       if (oldFilePath && fs.existsSync(oldFilePath)) {
         fs.unlink(oldFilePath, () => {});
       }
 
+      // Not awaited - the calendar catches up in the background
+      syncTaskToCalendar(
+        dbInstance,
+        req.user.uid,
+        await tasks().findOne({ _id: new ObjectId(id) })
+      );
+
       console.log("✅ Task updated:", id);
       res.json({ success: true });
     } catch (err) {
@@ -539,14 +1091,39 @@ app.delete("/api/tasks/:id", verifyToken, async (req, res) => {
       return res.status(404).json({ error: "Not found" });
     }
 
-    await tasks().deleteOne({ _id: new ObjectId(id) });
+    // Recurring tasks: "occurrence" (default) keeps the series going,
+    // "series" deletes every open occurrence
+    const scope = req.query.scope || "occurrence";
+    let removed = [task];
 
-    if (task.file?.path) {
-      const filePath = path.join(__dirname, task.file.path);
+    if (task.seriesId && scope === "series") {
+      const filter = {
+        uid: req.user.uid,
+        seriesId: task.seriesId,
+        status: { $in: OPEN_STATUSES },
+      };
+      removed = await tasks().find(filter).toArray();
+      await tasks().deleteMany(filter);
+    } else {
+      if (task.recurrence && isOpen(task)) {
+        await materializeNextOccurrence(dbInstance, task);
+      }
+      await tasks().deleteOne({ _id: new ObjectId(id) });
+    }
+
+    for (const t of removed) {
+      if (t.googleEvent) {
+        syncTaskToCalendar(dbInstance, req.user.uid, {
+          ...t,
+          deletedAt: new Date(),
+        });
+      }
+      if (!t.file?.path) continue;
+      const filePath = path.join(__dirname, t.file.path);
       if (fs.existsSync(filePath)) fs.unlink(filePath, () => {});
     }
 
-    console.log("✅ Task deleted:", id);
+    console.log("✅ Task deleted:", id, `(${removed.length})`);
     res.json({ success: true });
   } catch (err) {
     console.error("Delete task error:", err);
@@ -554,6 +1131,306 @@ app.delete("/api/tasks/:id", verifyToken, async (req, res) => {
   }
 });
 
+// ============================================
+// ICALENDAR ROUTES
+// ============================================
+
+// Issues (or rotates) the secret feed URL. The token is only shown here.
+app.post("/api/ics/feed-token", verifyToken, async (req, res) => {
+  try {
+    const token = await createFeedToken(dbInstance, req.user.uid);
+    const base =
+      process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get("host")}`;
+    res.json({ success: true, url: `${base}/api/ics/feed/${token}.ics` });
+  } catch (err) {
+    console.error("Create ICS feed token error:", err);
+    res.status(500).json({ error: "Failed to create feed URL" });
+  }
+});
+
+app.delete("/api/ics/feed-token", verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeFeedToken(dbInstance, req.user.uid);
+    if (!revoked) return res.status(404).json({ error: "No active feed" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Revoke ICS feed token error:", err);
+    res.status(500).json({ error: "Failed to revoke feed URL" });
+  }
+});
+
+// The subscription itself - no Firebase token, the URL is the secret
+app.get("/api/ics/feed/:token.ics", async (req, res) => {
+  try {
+    const user = await findUserByFeedToken(dbInstance, req.params.token);
+    if (!user) return res.status(404).json({ error: "Feed not found" });
+
+    const userTasks = await tasks()
+      .find({
+        uid: user.uid,
+        status: { $in: OPEN_STATUSES },
+        deadline: { $ne: null },
+      })
+      .toArray();
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="overlax.ics"');
+    res.setHeader("Cache-Control", "private, max-age=300");
+    res.send(buildCalendar(userTasks, user));
+  } catch (err) {
+    console.error("ICS feed error:", err);
+    res.status(500).json({ error: "Failed to build feed" });
+  }
+});
+
+// Multipart upload with a "file" field (.ics). Entries already imported
+// (same UID) are skipped, so importing the same file twice is harmless.
+app.post("/api/ics/import", verifyToken, importFile, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file" });
+    if (
+      !/\.ics$/i.test(req.file.originalname) &&
+      req.file.mimetype !== "text/calendar"
+    ) {
+      return res.status(400).json({ error: "Expected an .ics file" });
+    }
+
+    const uid = req.user.uid;
+    const user = await users().findOne({ uid });
+    const text = req.file.buffer.toString("utf8");
+
+    const { entries, errors } = parseCalendar(text, {
+      timeZone: user?.timezone,
+    });
+
+    const created = [];
+    let skipped = 0;
+    for (const entry of entries) {
+      if (
+        entry.icsUid &&
+        (await tasks().findOne({ uid, icsUid: entry.icsUid }))
+      ) {
+        skipped++;
+        continue;
+      }
+
+      const result = await createTask(dbInstance, uid, {
+        ...entry,
+        category: await matchCategory(dbInstance, uid, entry.category),
+      });
+      if (result.error) {
+        errors.push({
+          index: entry.index,
+          summary: entry.title,
+          error: result.error,
+        });
+      } else {
+        created.push(result.task._id);
+      }
+    }
+
+    console.log(
+      `📥 ICS import for ${uid}: ${created.length} created, ${skipped} skipped, ${errors.length} errors`
+    );
+    res.json({ success: true, created, skipped, errors });
+  } catch (err) {
+    console.error("ICS import error:", err);
+    res.status(500).json({ error: "Failed to import calendar" });
+  }
+});
+
+// ============================================
+// EXPORT / IMPORT ROUTES
+// ============================================
+
+// ?format=json (default) - tasks, categories and settings
+// ?format=csv - one row per task
+app.get("/api/export/:uid", verifyToken, async (req, res) => {
+  try {
+    const { uid } = req.params;
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const format = req.query.format || "json";
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ error: "format must be json or csv" });
+    }
+
+    const data = await buildExport(dbInstance, uid);
+    const filename = `overlax-export-${data.exportedAt.slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    console.log(`📤 Export for ${uid}: ${data.tasks.length} tasks (${format})`);
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      return res.send(tasksToCsv(data));
+    }
+    res.json(data);
+  } catch (err) {
+    console.error("Export error:", err);
+    res.status(500).json({ error: "Failed to export data" });
+  }
+});
+
+// Either a JSON body shaped like an export, or a multipart "file" field
+// with a .json export or a .csv. ?dryRun=true validates without writing.
+// Optional categoryMap: { "Old name": "Existing name" } (a JSON string in
+// multipart requests).
+app.post("/api/import", verifyToken, importFile, async (req, res) => {
+  try {
+    const dryRun =
+      req.query.dryRun === "true" ||
+      req.body.dryRun === true ||
+      req.body.dryRun === "true";
+
+    let data = req.body;
+    let categoryMap = req.body.categoryMap;
+
+    if (req.file) {
+      const text = req.file.buffer.toString("utf8");
+
+      if (/\.csv$/i.test(req.file.originalname)) {
+        const parsed = parseCsv(text);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        data = parsed.data;
+      } else {
+        try {
+          data = JSON.parse(text);
+        } catch {
+          return res
+            .status(400)
+            .json({ error: "Expected a .json or .csv file" });
+        }
+      }
+
+      if (typeof categoryMap === "string") {
+        try {
+          categoryMap = JSON.parse(categoryMap);
+        } catch {
+          return res.status(400).json({ error: "Invalid categoryMap" });
+        }
+      }
+    }
+
+    const result = await importData(dbInstance, req.user.uid, data, {
+      dryRun,
+      categoryMap,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Import error:", err);
+    res.status(500).json({ error: "Failed to import data" });
+  }
+});
+
+// ============================================
+// TASK LIFECYCLE ROUTES
+// ============================================
+
+for (const action of Object.keys(TASK_TRANSITIONS)) {
+  app.post(`/api/tasks/:id/${action}`, verifyToken, async (req, res) => {
+    try {
+      const result = await transitionTask(
+        dbInstance,
+        req.user.uid,
+        req.params.id,
+        action
+      );
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({
+        success: true,
+        task: result.task,
+        ...(result.nextOccurrence && {
+          nextOccurrence: result.nextOccurrence,
+        }),
+      });
+    } catch (err) {
+      console.error(`Task ${action} error:`, err);
+      res.status(500).json({ error: `Failed to ${action} task` });
+    }
+  });
+}
+
+// Snooze: one more reminder after `minutes`, deadline unchanged
+app.post("/api/tasks/:id/snooze", verifyToken, async (req, res) => {
+  try {
+    const result = await snoozeReminder(
+      dbInstance,
+      req.user.uid,
+      req.params.id,
+      Number(req.body.minutes),
+      "api"
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      snoozedUntil: result.snoozedUntil,
+      snoozesLeft: result.snoozesLeft,
+      task: result.task,
+    });
+  } catch (err) {
+    console.error("Task snooze error:", err);
+    res.status(500).json({ error: "Failed to snooze task" });
+  }
+});
+
+// Body: { ids: [...], operation, category? | days? | tag? } - see
+// utils/bulkTasks.js. Answers 200 with one result per id, even when some
+// of them failed.
+app.post("/api/tasks/bulk", verifyToken, async (req, res) => {
+  try {
+    const request = parseBulkRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const uid = req.user.uid;
+    const result = await runBulkOperation(dbInstance, uid, request);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // Not awaited - the calendar catches up in the background
+    for (const task of [...result.changed, ...result.created]) {
+      syncTaskToCalendar(dbInstance, uid, task);
+    }
+    for (const task of result.removed) {
+      if (task.googleEvent) {
+        syncTaskToCalendar(dbInstance, uid, { ...task, deletedAt: new Date() });
+      }
+      if (!task.file?.path) continue;
+      const filePath = path.join(__dirname, task.file.path);
+      if (fs.existsSync(filePath)) fs.unlink(filePath, () => {});
+    }
+
+    const succeeded = result.results.filter((r) => r.ok).length;
+    console.log(
+      `📦 Bulk ${request.operation} for ${uid}: ${succeeded}/${request.ids.length}`
+    );
+    res.json({
+      success: true,
+      operation: request.operation,
+      succeeded,
+      failed: request.ids.length - succeeded,
+      results: result.results,
+    });
+  } catch (err) {
+    console.error("Bulk task operation error:", err);
+    res.status(500).json({ error: "Failed to run bulk operation" });
+  }
+});
+
 // ============================================
 // PRESSURE SETTINGS ROUTES
 // ============================================
@@ -568,15 +1445,8 @@ app.get("/api/pressure-settings/:uid", verifyToken, async (req, res) => {
 
     const user = await users().findOne({ uid });
 
-    const defaultSettings = {
-      low: 3,
-      medium: 5,
-      high: 7,
-      critical: 8,
-    };
-
     res.json({
-      settings: user?.pressureSettings || defaultSettings,
+      settings: user?.pressureSettings || DEFAULT_PRESSURE_SETTINGS,
     });
   } catch (err) {
     console.error("Get pressure settings error:", err);
@@ -598,31 +1468,16 @@ app.post("/api/pressure-settings", verifyToken, async (req, res) => {
       return res.status(403).json({ error: "Forbidden" });
     }
 
-    if (
-      typeof settings.low !== "number" ||
-      typeof settings.medium !== "number" ||
-      typeof settings.high !== "number" ||
-      typeof settings.critical !== "number"
-    ) {
-      return res.status(400).json({ error: "Invalid settings format" });
-    }
-
-    if (
-      settings.low >= settings.medium ||
-      settings.medium >= settings.high ||
-      settings.high >= settings.critical
-    ) {
-      return res.status(400).json({
-        error:
-          "Settings must be in ascending order: low < medium < high < critical",
-      });
+    const parsed = parsePressureSettings(settings);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
     }
 
     await users().updateOne(
       { uid },
       {
         $set: {
-          pressureSettings: settings,
+          pressureSettings: parsed.settings,
           updatedAt: new Date(),
         },
       },
@@ -633,7 +1488,7 @@ app.post("/api/pressure-settings", verifyToken, async (req, res) => {
 
     res.json({
       success: true,
-      settings: settings,
+      settings: parsed.settings,
     });
   } catch (err) {
     console.error("❌ Save pressure settings error:", err);
@@ -650,54 +1505,209 @@ app.get("/api/pressure-calculate/:uid", verifyToken, async (req, res) => {
     }
 
     const user = await users().findOne({ uid });
-    const settings = user?.pressureSettings || {
-      low: 3,
-      medium: 5,
-      high: 7,
-      critical: 8,
-    };
+    const settings = user?.pressureSettings || DEFAULT_PRESSURE_SETTINGS;
 
     const userTasks = await tasks().find({ uid }).toArray();
+    const pressure = calculatePressure(
+      userTasks,
+      settings,
+      new Date(),
+      user?.timezone
+    );
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    res.json({
+      taskCount: pressure.taskCount,
+      score: pressure.score,
+      pressureLevel: pressure.pressureLevel,
+      pressureColor: pressure.pressureColor,
+      overdueCount: pressure.overdueCount,
+      settings,
+      upcomingTasks: pressure.taskCount,
+      breakdown: pressure.breakdown,
+    });
+  } catch (err) {
+    console.error("Calculate pressure error:", err);
+    res.status(500).json({ error: "Failed to calculate pressure" });
+  }
+});
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, defaults to the last 30 days
+app.get("/api/pressure-history/:uid", verifyToken, async (req, res) => {
+  try {
+    const { uid } = req.params;
+
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
 
-    const upcomingTasks = userTasks.filter((t) => {
-      if (!t.deadline || t.completed) return false;
-      const taskDate = new Date(t.deadline);
-      taskDate.setHours(0, 0, 0, 0);
-      return taskDate >= today;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: "Invalid date range" });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: "from must be before to" });
+    }
+
+    const result = await getPressureHistory(dbInstance, uid, from, to);
+    res.json(result);
+  } catch (err) {
+    console.error("Get pressure history error:", err);
+    res.status(500).json({ error: "Failed to fetch pressure history" });
+  }
+});
+
+// ============================================
+// REMINDER SETTINGS ROUTES
+// ============================================
+
+app.get("/api/reminder-settings/:uid", verifyToken, async (req, res) => {
+  try {
+    const { uid } = req.params;
+
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const user = await users().findOne({ uid });
+
+    res.json({
+      reminderOffsets: user?.reminderDefaults || DEFAULT_REMINDER_OFFSETS,
+      overdueNudges: !!user?.overdueNudges,
     });
+  } catch (err) {
+    console.error("Get reminder settings error:", err);
+    res.status(500).json({ error: "Failed to fetch reminder settings" });
+  }
+});
 
-    const taskCount = upcomingTasks.length;
+app.post("/api/reminder-settings", verifyToken, async (req, res) => {
+  try {
+    const { uid, reminderOffsets, overdueNudges } = req.body;
 
-    let pressureLevel = "Low";
-    let pressureColor = "green";
+    console.log("💾 Saving reminder settings:", {
+      uid,
+      reminderOffsets,
+      overdueNudges,
+    });
 
-    if (taskCount <= settings.low) {
-      pressureLevel = "Low";
-      pressureColor = "green";
-    } else if (taskCount <= settings.medium) {
-      pressureLevel = "Medium";
-      pressureColor = "yellow";
-    } else if (taskCount <= settings.high) {
-      pressureLevel = "High";
-      pressureColor = "orange";
-    } else {
-      pressureLevel = "Critical";
-      pressureColor = "red";
+    if (
+      !uid ||
+      (reminderOffsets === undefined && overdueNudges === undefined)
+    ) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: "Forbidden" });
     }
 
+    const $set = { updatedAt: new Date() };
+
+    if (reminderOffsets !== undefined) {
+      const offsets = parseReminderOffsets(reminderOffsets);
+      if (!offsets) {
+        return res.status(400).json({ error: "Invalid reminder offsets" });
+      }
+      $set.reminderDefaults = offsets;
+    }
+
+    if (overdueNudges !== undefined) {
+      if (typeof overdueNudges !== "boolean") {
+        return res.status(400).json({ error: "overdueNudges must be boolean" });
+      }
+      $set.overdueNudges = overdueNudges;
+    }
+
+    await users().updateOne({ uid }, { $set }, { upsert: true });
+
+    console.log("✅ Reminder settings saved successfully");
+
     res.json({
-      taskCount,
-      pressureLevel,
-      pressureColor,
-      settings,
-      upcomingTasks: upcomingTasks.length,
+      success: true,
+      reminderOffsets: $set.reminderDefaults,
+      overdueNudges: $set.overdueNudges,
     });
   } catch (err) {
-    console.error("Calculate pressure error:", err);
-    res.status(500).json({ error: "Failed to calculate pressure" });
+    console.error("❌ Save reminder settings error:", err);
+    res.status(500).json({ error: "Failed to save reminder settings" });
+  }
+});
+
+// ============================================
+// DIGEST SETTINGS ROUTES
+// ============================================
+
+app.get("/api/digest-settings/:uid", verifyToken, async (req, res) => {
+  try {
+    const { uid } = req.params;
+
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const user = await users().findOne({ uid });
+
+    res.json({
+      digest: digestSettingsOf(user),
+      timezone: user?.timezone || null,
+    });
+  } catch (err) {
+    console.error("Get digest settings error:", err);
+    res.status(500).json({ error: "Failed to fetch digest settings" });
+  }
+});
+
+// Body: { uid, digest: { daily?: {...}, weekly?: {...} }, timezone? }
+app.post("/api/digest-settings", verifyToken, async (req, res) => {
+  try {
+    const { uid, digest, timezone } = req.body;
+
+    console.log("💾 Saving digest settings:", { uid, digest, timezone });
+
+    if (!uid || !digest) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: "Invalid timezone" });
+    }
+
+    const user = await users().findOne({ uid });
+    const parsed = parseDigestSettings(digest, user);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    await users().updateOne(
+      { uid },
+      {
+        $set: {
+          digest: parsed.settings,
+          ...(timezone && { timezone }),
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+
+    console.log("✅ Digest settings saved successfully");
+
+    res.json({
+      success: true,
+      digest: parsed.settings,
+      timezone: timezone || user?.timezone || null,
+    });
+  } catch (err) {
+    console.error("❌ Save digest settings error:", err);
+    res.status(500).json({ error: "Failed to save digest settings" });
   }
 });
 
@@ -869,14 +1879,41 @@ app.delete("/api/categories/:id", verifyToken, async (req, res) => {
 // USER PROFILE ROUTES
 // ============================================
 
+// timezone, locale and quietHours are optional; the rest is the Firebase
+// profile the client syncs after sign-in
 app.post("/api/user/profile", verifyToken, async (req, res) => {
   try {
-    const { uid, email, displayName, photoURL } = req.body;
-    await users().updateOne(
-      { uid },
-      { $set: { email, displayName, photoURL, updatedAt: new Date() } },
-      { upsert: true }
-    );
+    const { uid, email, displayName, photoURL, timezone, locale, quietHours } =
+      req.body;
+
+    if (req.user.uid !== uid) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: "Invalid timezone" });
+    }
+    if (locale !== undefined && !isValidLocale(locale)) {
+      return res.status(400).json({ error: "Invalid locale" });
+    }
+
+    // Only what the body contains, so a partial update keeps the rest
+    const $set = { updatedAt: new Date() };
+    if (email !== undefined) $set.email = email;
+    if (displayName !== undefined) $set.displayName = displayName;
+    if (photoURL !== undefined) $set.photoURL = photoURL;
+    if (timezone !== undefined) $set.timezone = timezone;
+    if (locale !== undefined) $set.locale = locale;
+    if (quietHours !== undefined) {
+      const user = await users().findOne({ uid });
+      const parsed = parseQuietHours(quietHours, user);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      $set.quietHours = parsed.settings;
+    }
+
+    await users().updateOne({ uid }, { $set }, { upsert: true });
     res.json({ success: true });
   } catch (err) {
     console.error("Save profile error:", err);
@@ -887,7 +1924,13 @@ app.post("/api/user/profile", verifyToken, async (req, res) => {
 app.get("/api/user/profile", verifyToken, async (req, res) => {
   try {
     const user = await users().findOne({ uid: req.user.uid });
-    res.json({ googleTokens: user?.googleTokens || null });
+    res.json({
+      // Tokens stay on the server; the client only needs to know
+      googleTokens: user?.googleTokens ? { connected: true } : null,
+      timezone: user?.timezone || null,
+      locale: user?.locale || null,
+      quietHours: quietHoursOf(user),
+    });
   } catch (err) {
     console.error("Get profile error:", err);
     res.status(500).json({ error: "Failed to fetch profile" });
@@ -1,148 +1,366 @@
 // server/routes/ai.js
 const express = require('express');
 const router = express.Router();
-const { tasks } = require('../index');
+const verifyToken = require('../utils/verifyToken');
+const {
+  findConversation,
+  createConversation,
+  listConversations,
+  deleteConversation,
+  appendMessages,
+  historyMessages,
+  taskContext,
+  summarizeIfNeeded,
+} = require('../utils/conversations');
+const { TOOL_DEFINITIONS, runTool } = require('../utils/aiTools');
+const {
+  startAiRequest,
+  recordAiUsage,
+  parseUsageDays,
+  getAiUsage,
+} = require('../utils/aiUsage');
+const {
+  availableProviders,
+  parseModelChoice,
+  resolveModelChain,
+  createChatCompletion,
+} = require('../utils/llmProviders');
 
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
+// Model turns per message; the last one may only answer, not call tools
+const MAX_TOOL_ROUNDS = 5;
 
-router.post('/chat', async (req, res) => {
-  const { message, uid = "guest" } = req.body;
+// Non-streaming completion, used for conversation summaries. The tokens
+// count towards the chat request that triggered it.
+const summarizer = (db, usageId, chain) => async (messages) => {
+  const { response } = await createChatCompletion(chain, {
+    messages,
+    temperature: 0.3,
+  });
+  await recordAiUsage(db, usageId, response.usage);
+  return response.choices?.[0]?.message?.content || "";
+};
 
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.flushHeaders();
+const SYSTEM_PROMPT = `You are Overlax AI — a super smart productivity assistant.
+
+You manage the user's tasks with the tools you have: create, update,
+reschedule, complete, delete and list tasks, and check their workload
+pressure. The next system message lists the user's open tasks with their
+ids in [brackets]; use it to work out which task "it" or "that one" means.
 
-  let fullReply = "";
-  let taskCreated = false;
+- Deadlines you pass to tools are local times in the user's timezone,
+  YYYY-MM-DDTHH:mm. For relative dates ("next monday 5pm", "in 3 hours",
+  "kal raat 9 ta") you may pass the user's words as they are instead;
+  the tools work out the date.
+- If it's unclear which task the user means, ask instead of guessing.
+- Only delete when the user clearly asks for it.
+- After using a tool, tell the user briefly what changed.
 
-  const getUserTasks = async () => {
-    const taskList = await tasks().find({ uid }).sort({ createdAt: -1 }).limit(10).toArray();
-    const total = await tasks().countDocuments({ uid });
-    const pending = await tasks().countDocuments({ uid, status: "pending" });
-    const done = await tasks().countDocuments({ uid, status: "done" });
+Otherwise chat normally. Always be friendly and helpful!`;
 
-    if (taskList.length === 0) {
-      return "You have no tasks yet! Want to add one?";
+// Body: { message, conversationId?, provider?, model? }. Without
+// conversationId a new conversation is started; its id comes back in
+// X-Conversation-Id. provider / model override the user's saved choice
+// for this message.
+// Requests are rate limited and count towards a daily token quota; over
+// either limit the answer is 429 with Retry-After.
+//
+// The reply streams as OpenAI-style chunks ({ choices: [{ delta }] }).
+// Tool use streams as named events:
+//   event: tool_call    data: { type, id, tool, arguments }
+//   event: tool_result  data: { type, id, tool, ok, result | error }
+router.post('/chat', verifyToken, async (req, res) => {
+  const { message, conversationId, provider, model } = req.body;
+  const uid = req.user.uid;
+  const db = req.app.locals.db;
+
+  if (typeof message !== "string" || !message.trim()) {
+    return res.status(400).json({ error: "message is required" });
+  }
+
+  let conversation = null;
+  let usageId;
+  let chain;
+  let context;
+  try {
+    if (conversationId) {
+      conversation = await findConversation(db, uid, conversationId);
+      if (!conversation) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
     }
 
-    let reply = `You have ${total} tasks (${pending} pending, ${done} done):\n\n`;
-    taskList.forEach((t, i) => {
-      const status = t.status === "done" ? "Done" : "Pending";
-      reply += `${i + 1}. ${t.title} (${t.category}) — ${status}\n`;
-      if (t.deadline) reply += `   Deadline: ${new Date(t.deadline).toLocaleString()}\n`;
-      reply += "\n";
+    const user = await db.collection("users").findOne({ uid });
+    const resolved = resolveModelChain({ provider, model }, user?.aiSettings);
+    if (resolved.error) return res.status(400).json({ error: resolved.error });
+    chain = resolved.chain;
+
+    const started = await startAiRequest(db, uid, {
+      timeZone: user?.timezone,
+      ...chain[0],
+      conversationId: conversation?._id || null,
     });
-    return reply;
+    if (started.error) {
+      res.setHeader("Retry-After", String(started.retryAfter));
+      return res
+        .status(started.status)
+        .json({ error: started.error, retryAfter: started.retryAfter });
+    }
+    usageId = started.usageId;
+
+    if (!conversation) {
+      conversation = await createConversation(db, uid, message);
+      await recordAiUsage(db, usageId, null, { conversationId: conversation._id });
+    }
+    res.setHeader("X-Conversation-Id", conversation._id.toString());
+    context = await taskContext(db, uid);
+  } catch (err) {
+    console.error("AI chat setup error:", err);
+    return res.status(500).json({ error: "Failed to start chat" });
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  // Everything the user actually saw, saved as the assistant's turn
+  let sentReply = "";
+  const toolsUsed = [];
+
+  const send = (content) => {
+    sentReply += content;
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
   };
+  const sendEvent = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  };
+
+  const messages = [
+    { role: "system", content: SYSTEM_PROMPT },
+    context,
+    ...historyMessages(conversation),
+    { role: "user", content: message },
+  ];
 
   try {
-    const groqRes = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${GROQ_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "llama-3.1-8b-instant",
-        messages: [
-          {
-            role: "system",
-            content: `You are Overlax AI — a super smart productivity assistant.
-
-CAPABILITIES:
-1. Create task → reply with:
-[TASK_CREATE]
-Title: Study math
-Deadline: Tomorrow 8pm
-Category: Study
-[TASK_CREATE]
-
-2. Show tasks → when user asks "my tasks", "koyta task ache", "list tasks" → reply:
-[TASK_LIST]
-
-3. Normal chat → reply normally.
-
-Always be friendly and helpful!`
-          },
-          { role: "user", content: message }
-        ],
-        temperature: 0.7,
-        stream: true
-      })
-    });
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+      const canUseTools = round < MAX_TOOL_ROUNDS - 1;
+      const opened = await createChatCompletion(chain, {
+        messages,
+        ...(canUseTools && { tools: TOOL_DEFINITIONS, tool_choice: "auto" }),
+        temperature: 0.5,
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+      const stream = opened.response;
+      // Fell back: stay with the provider that answered for the rest of
+      // the turn, the tool calls so far are its own
+      if (opened.provider !== chain[0].provider) {
+        chain = chain.slice(chain.findIndex((c) => c.provider === opened.provider));
+        await recordAiUsage(db, usageId, null, { provider: opened.provider, model: opened.model });
+      }
 
-    const reader = groqRes.body.getReader();
-    const decoder = new TextDecoder();
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split("\n");
-
-      for (const line of lines) {
-        if (line.startsWith("data: ") && !line.includes("[DONE]")) {
-          try {
-            const json = JSON.parse(line.slice(6));
-            const text = json.choices?.[0]?.delta?.content || "";
-            if (text) {
-              fullReply += text;
-
-              if (fullReply.includes("[TASK_LIST]")) {
-                const list = await getUserTasks();
-                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: list } }] })}\n\n`);
-                fullReply = "";
-                continue;
-              }
-
-              if (!taskCreated && fullReply.includes("[TASK_CREATE]")) {
-                const match = fullReply.match(/Title:\s*(.+)\s*Deadline:\s*(.+)\s*Category:\s*(.+)/i);
-                if (match) {
-                  const title = match[1].trim();
-                  const deadlineStr = match[2].trim();
-                  const category = match[3].trim();
-
-                  let deadline = null;
-                  if (deadlineStr.toLowerCase().includes("tomorrow")) {
-                    deadline = new Date();
-                    deadline.setDate(deadline.getDate() + 1);
-                  } else if (!deadlineStr.toLowerCase().includes("none")) {
-                    deadline = new Date(deadlineStr);
-                  }
-
-                  await tasks().insertOne({
-                    uid,
-                    title,
-                    category: category || "Personal",
-                    deadline,
-                    status: "pending",
-                    createdAt: new Date()
-                  });
-
-                  taskCreated = true;
-                  res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: `\n\nTask "${title}" added successfully!` } }] })}\n\n`);
-                }
-              } else {
-                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`);
-              }
-            }
-          } catch {
-            // ignore malformed streaming chunks (very common with Groq/OpenAI)
-          }
+      // Tool calls arrive in pieces: name first, arguments in chunks.
+      // Token counts come with the last chunk (Groq also sends them as
+      // x_groq.usage).
+      let content = "";
+      const calls = [];
+      let reported = null;
+      for await (const chunk of stream) {
+        reported = chunk.usage || chunk.x_groq?.usage || reported;
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) {
+          content += delta.content;
+          send(delta.content);
+        }
+        for (const part of delta.tool_calls || []) {
+          const call = (calls[part.index] ||= { id: "", name: "", arguments: "" });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.arguments += part.function.arguments;
         }
       }
+
+      await recordAiUsage(db, usageId, reported);
+
+      const toolCalls = calls.filter(Boolean);
+      if (toolCalls.length === 0) break;
+
+      messages.push({
+        role: "assistant",
+        content: content || null,
+        tool_calls: toolCalls.map((c) => ({
+          id: c.id,
+          type: "function",
+          function: { name: c.name, arguments: c.arguments },
+        })),
+      });
+
+      for (const call of toolCalls) {
+        let args;
+        try {
+          args = JSON.parse(call.arguments || "{}");
+        } catch {
+          args = call.arguments;
+        }
+        sendEvent("tool_call", { id: call.id, tool: call.name, arguments: args });
+
+        const outcome = await runTool(db, uid, call.name, call.arguments);
+        sendEvent("tool_result", { id: call.id, tool: call.name, ...outcome });
+        toolsUsed.push({ tool: call.name, ok: outcome.ok });
+        console.log(`🛠️ AI tool ${call.name} for ${uid}:`, outcome.ok ? "ok" : outcome.error);
+
+        messages.push({
+          role: "tool",
+          tool_call_id: call.id,
+          content: JSON.stringify(outcome),
+        });
+      }
     }
 
     res.write("data: [DONE]\n\n");
     res.end();
 
+    // The reply is already out; a failed save only costs the history
+    try {
+      await recordAiUsage(db, usageId, null, { status: "done", finishedAt: new Date() });
+      await appendMessages(db, conversation._id, [
+        { role: "user", content: message },
+        {
+          role: "assistant",
+          content: sentReply,
+          ...(toolsUsed.length && { tools: toolsUsed }),
+        },
+      ]);
+      // Not awaited - the next turn can go ahead without the summary
+      summarizeIfNeeded(db, conversation._id, summarizer(db, usageId, chain)).catch((err) =>
+        console.error("Conversation summary error:", err.message)
+      );
+    } catch (err) {
+      console.error("Conversation save error:", err.message);
+    }
+
   } catch (err) {
     console.error(err);
     res.write("data: Sorry, try again.\n\n");
     res.write("data: [DONE]\n\n");
     res.end();
+    recordAiUsage(db, usageId, null, { status: "failed", finishedAt: new Date() }).catch(
+      (saveErr) => console.error("AI usage save error:", saveErr.message)
+    );
+  }
+});
+
+// ============================================
+// MODEL SETTINGS
+// ============================================
+
+// The user's saved provider / model and what they can choose from
+router.get('/settings', verifyToken, async (req, res) => {
+  try {
+    const user = await req.app.locals.db.collection("users").findOne({ uid: req.user.uid });
+    // A saved choice that no longer works falls back to the default, as
+    // in the chat
+    const saved = parseModelChoice(user?.aiSettings || {});
+    res.json({
+      settings: saved.error ? parseModelChoice() : saved,
+      providers: availableProviders(),
+    });
+  } catch (err) {
+    console.error("Get AI settings error:", err);
+    res.status(500).json({ error: "Failed to fetch AI settings" });
+  }
+});
+
+// Body: { provider, model? } - the model defaults to the provider's.
+// { provider: null } goes back to the server default.
+router.post('/settings', verifyToken, async (req, res) => {
+  try {
+    const { provider, model } = req.body;
+    const users = req.app.locals.db.collection("users");
+
+    if (provider === null) {
+      await users.updateOne(
+        { uid: req.user.uid },
+        { $unset: { aiSettings: "" }, $set: { updatedAt: new Date() } }
+      );
+      return res.json({ success: true, settings: parseModelChoice() });
+    }
+
+    const settings = parseModelChoice({ provider, model });
+    if (settings.error) return res.status(400).json({ error: settings.error });
+
+    await users.updateOne(
+      { uid: req.user.uid },
+      { $set: { aiSettings: settings, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    res.json({ success: true, settings });
+  } catch (err) {
+    console.error("Save AI settings error:", err);
+    res.status(500).json({ error: "Failed to save AI settings" });
+  }
+});
+
+// ============================================
+// USAGE
+// ============================================
+
+// Token usage and limits of the signed-in user. ?days= (1-90, default 7)
+// sets how many days of daily totals come back.
+router.get('/usage', verifyToken, async (req, res) => {
+  const parsed = parseUsageDays(req.query.days);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const db = req.app.locals.db;
+    const user = await db.collection("users").findOne({ uid: req.user.uid });
+    const report = await getAiUsage(db, req.user.uid, {
+      days: parsed.days,
+      timeZone: user?.timezone,
+    });
+    res.json(report);
+  } catch (err) {
+    console.error("AI usage error:", err);
+    res.status(500).json({ error: "Failed to fetch AI usage" });
+  }
+});
+
+// ============================================
+// CONVERSATIONS
+// ============================================
+
+router.get('/conversations', verifyToken, async (req, res) => {
+  try {
+    const list = await listConversations(req.app.locals.db, req.user.uid);
+    res.json({ conversations: list });
+  } catch (err) {
+    console.error("List conversations error:", err);
+    res.status(500).json({ error: "Failed to fetch conversations" });
+  }
+});
+
+// The full conversation, to resume it in the UI
+router.get('/conversations/:id', verifyToken, async (req, res) => {
+  try {
+    const conversation = await findConversation(req.app.locals.db, req.user.uid, req.params.id);
+    if (!conversation) return res.status(404).json({ error: "Conversation not found" });
+    res.json({ conversation });
+  } catch (err) {
+    console.error("Get conversation error:", err);
+    res.status(500).json({ error: "Failed to fetch conversation" });
+  }
+});
+
+router.delete('/conversations/:id', verifyToken, async (req, res) => {
+  try {
+    const deleted = await deleteConversation(req.app.locals.db, req.user.uid, req.params.id);
+    if (!deleted) return res.status(404).json({ error: "Conversation not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Delete conversation error:", err);
+    res.status(500).json({ error: "Failed to delete conversation" });
   }
 });
 
@@ -0,0 +1,108 @@
+// routes/google.js
+// Mounted at /api/google - Google Calendar connect / sync / disconnect
+const express = require("express");
+const verifyToken = require("../utils/verifyToken");
+const {
+  isConfigured,
+  createAuthUrl,
+  completeOAuth,
+  disconnect,
+  syncUser,
+} = require("../utils/googleCalendar");
+
+const router = express.Router();
+const users = (req) => req.app.locals.db.collection("users");
+
+const requireConfigured = (req, res, next) => {
+  if (!isConfigured()) {
+    return res
+      .status(503)
+      .json({ error: "Google Calendar is not configured on this server" });
+  }
+  next();
+};
+
+router.use(requireConfigured);
+
+// Returns the Google consent URL; the client sends the user there
+router.get("/connect", verifyToken, (req, res) => {
+  res.json({ url: createAuthUrl(req.user.uid) });
+});
+
+// Google redirects here after consent. No Firebase token on this request;
+// the signed state says who it is for.
+router.get("/callback", async (req, res) => {
+  const appUrl = process.env.APP_URL;
+  const finish = (status) =>
+    appUrl
+      ? res.redirect(`${appUrl}/settings?google=${status}`)
+      : res.json({ success: status === "connected", status });
+
+  try {
+    const { code, state, error } = req.query;
+    if (error || !code) return finish("denied");
+
+    const db = req.app.locals.db;
+    const uid = await completeOAuth(db, code, state);
+    if (!uid) return finish("invalid");
+
+    // First full sync creates the calendar and pushes every task
+    const user = await db.collection("users").findOne({ uid });
+    syncUser(db, user).catch((err) =>
+      console.error("❌ Initial calendar sync failed:", err.message)
+    );
+
+    finish("connected");
+  } catch (err) {
+    console.error("Google OAuth callback error:", err);
+    finish("error");
+  }
+});
+
+router.get("/status", verifyToken, async (req, res) => {
+  try {
+    const user = await users(req).findOne({ uid: req.user.uid });
+    res.json({
+      connected: !!user?.googleTokens,
+      calendarId: user?.googleCalendar?.calendarId || null,
+      connectedAt: user?.googleCalendar?.connectedAt || null,
+      lastSyncAt: user?.googleCalendar?.lastSyncAt || null,
+    });
+  } catch (err) {
+    console.error("Google status error:", err);
+    res.status(500).json({ error: "Failed to fetch Google Calendar status" });
+  }
+});
+
+// Runs a two-way sync now instead of waiting for the cron job
+router.post("/sync", verifyToken, async (req, res) => {
+  try {
+    const user = await users(req).findOne({ uid: req.user.uid });
+    if (!user?.googleTokens) {
+      return res.status(400).json({ error: "Google Calendar not connected" });
+    }
+
+    const result = await syncUser(req.app.locals.db, user);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Google sync error:", err);
+    res.status(502).json({ error: "Google Calendar sync failed" });
+  }
+});
+
+router.post("/disconnect", verifyToken, async (req, res) => {
+  try {
+    const user = await users(req).findOne({ uid: req.user.uid });
+    if (!user?.googleTokens) {
+      return res.status(404).json({ error: "Google Calendar not connected" });
+    }
+
+    await disconnect(req.app.locals.db, user);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Google disconnect error:", err);
+    res.status(500).json({ error: "Failed to disconnect Google Calendar" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+// routes/notifications.js
+// Mounted at /api/notification-settings
+const express = require("express");
+const verifyToken = require("../utils/verifyToken");
+const {
+  channelSettingsOf,
+  parseChannelSettings,
+  addPushToken,
+  removePushToken,
+  dispatchNotification,
+} = require("../utils/notifications");
+
+const router = express.Router();
+const users = (req) => req.app.locals.db.collection("users");
+
+// Push tokens are device secrets - the client only needs to know how many
+const publicSettings = (settings) => ({
+  ...settings,
+  push: {
+    ...settings.push,
+    tokens: undefined,
+    tokenCount: settings.push.tokens.length,
+  },
+});
+
+router.use(verifyToken);
+
+router.get("/", async (req, res) => {
+  try {
+    const user = await users(req).findOne({ uid: req.user.uid });
+    res.json({ channels: publicSettings(channelSettingsOf(user)) });
+  } catch (err) {
+    console.error("Get notification settings error:", err);
+    res.status(500).json({ error: "Failed to fetch notification settings" });
+  }
+});
+
+// Body: { channels: { telegram?, email?, push?, webhook? } }
+router.patch("/", async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { channels } = req.body;
+
+    console.log("💾 Saving notification channels:", { uid, channels });
+
+    const user = await users(req).findOne({ uid });
+    const parsed = await parseChannelSettings(channels, user);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    await users(req).updateOne(
+      { uid },
+      {
+        $set: { notificationChannels: parsed.settings, updatedAt: new Date() },
+      },
+      { upsert: true }
+    );
+
+    res.json({ success: true, channels: publicSettings(parsed.settings) });
+  } catch (err) {
+    console.error("❌ Save notification settings error:", err);
+    res.status(500).json({ error: "Failed to save notification settings" });
+  }
+});
+
+// Body: { token } - an FCM registration token from the browser
+router.post("/push-tokens", async (req, res) => {
+  try {
+    const result = await addPushToken(
+      req.app.locals.db,
+      req.user.uid,
+      req.body.token
+    );
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, tokenCount: result.tokens });
+  } catch (err) {
+    console.error("Register push token error:", err);
+    res.status(500).json({ error: "Failed to register push token" });
+  }
+});
+
+router.delete("/push-tokens", async (req, res) => {
+  try {
+    const removed = await removePushToken(
+      req.app.locals.db,
+      req.user.uid,
+      req.body.token
+    );
+    if (!removed) {
+      return res.status(404).json({ error: "Push token not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Remove push token error:", err);
+    res.status(500).json({ error: "Failed to remove push token" });
+  }
+});
+
+// Sends a test message on every enabled channel and reports each outcome
+router.post("/test", async (req, res) => {
+  try {
+    const results = await dispatchNotification(
+      req.app.locals.db,
+      req.user.uid,
+      {
+        type: "reminders",
+        title: "Overlax test notification",
+        text: "🔔 This is a test notification from Overlax.",
+      }
+    );
+    res.json({ success: results.some((r) => r.ok), results });
+  } catch (err) {
+    console.error("Test notification error:", err);
+    res.status(500).json({ error: "Failed to send test notification" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+// routes/subtasks.js
+// Mounted at /api/tasks/:id/subtasks
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const verifyToken = require("../utils/verifyToken");
+const { subtaskProgress, syncParentStatus } = require("../utils/subtasks");
+const { parseDeadline } = require("../utils/timezone");
+
+const router = express.Router({ mergeParams: true });
+const tasks = (req) => req.app.locals.db.collection("tasks");
+
+// "" / null clears the deadline, anything else must be a valid date,
+// read in the user's timezone like task deadlines
+const parseSubtaskDeadline = async (req, deadline) => {
+  if (deadline === null || deadline === "") return { value: null };
+  const user = await req.app.locals.db
+    .collection("users")
+    .findOne({ uid: req.user.uid });
+  const value = parseDeadline(deadline, user?.timezone);
+  if (!value) return { error: "Invalid deadline" };
+  return { value };
+};
+
+router.use(verifyToken);
+
+// Loads the parent task for every route and checks ownership
+router.use(async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid ID" });
+    }
+
+    const task = await tasks(req).findOne({
+      _id: new ObjectId(id),
+      uid: req.user.uid,
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    req.task = task;
+    next();
+  } catch (err) {
+    console.error("Load task error:", err);
+    res.status(500).json({ error: "Failed to load task" });
+  }
+});
+
+// Re-reads the task, applies auto-complete and sends the checklist back
+const respondWithChecklist = async (req, res, extra = {}) => {
+  const task = await tasks(req).findOne({ _id: req.task._id });
+  const parentStatus = await syncParentStatus(req.app.locals.db, task);
+
+  res.json({
+    success: true,
+    ...extra,
+    subtasks: task.subtasks || [],
+    progress: subtaskProgress(task),
+    ...(parentStatus && { parentStatus }),
+  });
+};
+
+router.get("/", (req, res) => {
+  res.json({
+    subtasks: req.task.subtasks || [],
+    progress: subtaskProgress(req.task),
+  });
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const { title, deadline } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: "Subtask title is required" });
+    }
+
+    let finalDeadline = null;
+    if (deadline !== undefined) {
+      const parsed = await parseSubtaskDeadline(req, deadline);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      finalDeadline = parsed.value;
+    }
+
+    const subtask = {
+      _id: new ObjectId(),
+      title: title.trim(),
+      done: false,
+      deadline: finalDeadline,
+      createdAt: new Date(),
+    };
+
+    await tasks(req).updateOne(
+      { _id: req.task._id },
+      { $push: { subtasks: subtask }, $set: { updatedAt: new Date() } }
+    );
+
+    console.log("✅ Subtask added:", subtask._id);
+    await respondWithChecklist(req, res, { subtaskId: subtask._id });
+  } catch (err) {
+    console.error("Add subtask error:", err);
+    res.status(500).json({ error: "Failed to add subtask" });
+  }
+});
+
+router.patch("/:subId", async (req, res) => {
+  try {
+    const { subId } = req.params;
+    const { title, done, deadline } = req.body;
+
+    if (!ObjectId.isValid(subId)) {
+      return res.status(400).json({ error: "Invalid subtask ID" });
+    }
+
+    const exists = (req.task.subtasks || []).some((s) => s._id.equals(subId));
+    if (!exists) {
+      return res.status(404).json({ error: "Subtask not found" });
+    }
+
+    const $set = { updatedAt: new Date() };
+    if (title !== undefined) {
+      if (!title.trim()) {
+        return res.status(400).json({ error: "Subtask title is required" });
+      }
+      $set["subtasks.$.title"] = title.trim();
+    }
+    if (done !== undefined) {
+      const isDone = done === true || done === "true";
+      $set["subtasks.$.done"] = isDone;
+      $set["subtasks.$.completedAt"] = isDone ? new Date() : null;
+    }
+    if (deadline !== undefined) {
+      const parsed = await parseSubtaskDeadline(req, deadline);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      $set["subtasks.$.deadline"] = parsed.value;
+    }
+
+    await tasks(req).updateOne(
+      { _id: req.task._id, "subtasks._id": new ObjectId(subId) },
+      { $set }
+    );
+
+    console.log("✅ Subtask updated:", subId);
+    await respondWithChecklist(req, res);
+  } catch (err) {
+    console.error("Update subtask error:", err);
+    res.status(500).json({ error: "Failed to update subtask" });
+  }
+});
+
+router.delete("/:subId", async (req, res) => {
+  try {
+    const { subId } = req.params;
+
+    if (!ObjectId.isValid(subId)) {
+      return res.status(400).json({ error: "Invalid subtask ID" });
+    }
+
+    const exists = (req.task.subtasks || []).some((s) => s._id.equals(subId));
+    if (!exists) {
+      return res.status(404).json({ error: "Subtask not found" });
+    }
+
+    await tasks(req).updateOne(
+      { _id: req.task._id },
+      {
+        $pull: { subtasks: { _id: new ObjectId(subId) } },
+        $set: { updatedAt: new Date() },
+      }
+    );
+
+    console.log("✅ Subtask deleted:", subId);
+    await respondWithChecklist(req, res);
+  } catch (err) {
+    console.error("Delete subtask error:", err);
+    res.status(500).json({ error: "Failed to delete subtask" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+// scripts/notification-sink.js
+// Local stand-in for the notification providers, for trying the channels
+// without real accounts. Prints everything it receives.
+//
+//   npm run sink
+//
+// then point the server at it:
+//   SMTP_URL=smtp://localhost:2525
+//   TELEGRAM_API_BASE=http://localhost:4025
+//   WEBHOOK_ALLOW_PRIVATE=true
+//   webhook URL in the user's settings: http://localhost:4025/webhook
+//
+// SINK_FAIL_FIRST=n answers the first n HTTP requests with 503, to watch
+// the dispatcher retry with backoff.
+const http = require("http");
+const net = require("net");
+
+const HTTP_PORT = Number(process.env.SINK_HTTP_PORT) || 4025;
+const SMTP_PORT = Number(process.env.SINK_SMTP_PORT) || 2525;
+let failuresLeft = Number(process.env.SINK_FAIL_FIRST) || 0;
+
+// HTTP: webhooks and the Telegram Bot API (answers like sendMessage does)
+http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`💥 [http] ${req.method} ${req.url} -> 503 (simulated)`);
+        res.writeHead(503).end();
+        return;
+      }
+
+      console.log(`📨 [http] ${req.method} ${req.url}`);
+      const signature = req.headers["x-overlax-signature"];
+      if (signature) console.log(`   signature: ${signature}`);
+      console.log(`   ${body}`);
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true, result: { message_id: Date.now() } }));
+    });
+  })
+  .listen(HTTP_PORT, () =>
+    console.log(`✅ HTTP sink on http://localhost:${HTTP_PORT}`)
+  );
+
+// SMTP: just enough of the protocol for nodemailer to deliver a message
+net
+  .createServer((socket) => {
+    let inData = false;
+    let message = "";
+    let buffer = "";
+
+    socket.write("220 overlax-sink ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            console.log(`📧 [smtp] message received:\n${message}`);
+            message = "";
+            socket.write("250 OK: queued\r\n");
+          } else {
+            message += `${line.startsWith("..") ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO") {
+          socket.write("250-overlax-sink\r\n250 8BITMIME\r\n");
+        } else if (command === "DATA") {
+          inData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          // HELO, MAIL FROM, RCPT TO, RSET, NOOP
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  })
+  .listen(SMTP_PORT, () =>
+    console.log(`✅ SMTP sink on smtp://localhost:${SMTP_PORT}`)
+  );
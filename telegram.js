@@ -1,8 +1,28 @@
 // telegram.js – FINAL UPDATED VERSION (2025 Ready)
 require("dotenv").config();
 const { Telegraf } = require("telegraf");
-const fs = require("fs");
-const path = require("path");
+const {
+  consumeLinkToken,
+  linkChat,
+  unlinkChat,
+  findLinkByChat,
+  rememberTaskList,
+} = require("./utils/telegramLinks");
+const {
+  createTask,
+  matchCategory,
+  transitionTask,
+  postponeToTomorrow,
+  snoozeReminder,
+} = require("./utils/taskService");
+const { ACTION_PATTERN, parseAction } = require("./utils/telegramActions");
+const { parseQuickAdd } = require("./utils/quickAdd");
+const { OPEN_STATUSES } = require("./utils/taskStatus");
+const {
+  DEFAULT_PRESSURE_SETTINGS,
+  calculatePressure,
+} = require("./utils/pressure");
+const { zonedParts, formatDateTime } = require("./utils/timezone");
 
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 if (!BOT_TOKEN) {
@@ -11,62 +31,51 @@ if (!BOT_TOKEN) {
 }
 
 const bot = new Telegraf(BOT_TOKEN);
-const CHAT_IDS_FILE = path.join(__dirname, "chatIds.json");
 
-console.log("Telegram Bot Token:", BOT_TOKEN ? "OK" : "MISSING");
-console.log("chatIds.json path:", CHAT_IDS_FILE);
-
-// Create file if not exists
-if (!fs.existsSync(CHAT_IDS_FILE)) {
-  fs.writeFileSync(CHAT_IDS_FILE, "[]", "utf8");
-  console.log("Created chatIds.json");
-}
-
-// LOAD & SAVE HELPERS
-const loadChatIds = () => {
-  try {
-    const data = fs.readFileSync(CHAT_IDS_FILE, "utf8");
-    return JSON.parse(data);
-  } catch (err) {
-    console.error("loadChatIds error:", err.message);
-    return [];
-  }
-};
+// Set by launchBot() once MongoDB is connected
+let db = null;
 
-const saveChatIds = (data) => {
-  try {
-    fs.writeFileSync(CHAT_IDS_FILE, JSON.stringify(data, null, 2), "utf8");
-    console.log("Saved chatIds:", data);
-  } catch (err) {
-    console.error("saveChatIds error:", err.message);
-  }
-};
+console.log("Telegram Bot Token:", BOT_TOKEN ? "OK" : "MISSING");
 
 // /start command — CONNECT
+// The payload is a one-time token from POST /api/telegram/link-token;
+// raw uids are no longer accepted.
 bot.start(async (ctx) => {
   const chatId = ctx.chat.id.toString();
-  const uid = ctx.payload?.trim();
+  const token = ctx.payload?.trim();
+
+  console.log("[BOT /start] chatId:", chatId, "token:", token ? "yes" : "no");
 
-  console.log("[BOT /start] chatId:", chatId, "uid:", uid || "null");
+  const existing = await findLinkByChat(db, chatId);
 
-  const chatIds = loadChatIds();
-  const existing = chatIds.find((c) => c.chatId === chatId);
+  if (!token) {
+    await ctx.reply(
+      existing
+        ? "✅ Already connected! Use /stop to disconnect."
+        : '👋 Open Overlax and tap "Connect Telegram" to link this chat.'
+    );
+    return;
+  }
+
+  const uid = await consumeLinkToken(db, token, chatId);
+  if (!uid) {
+    await ctx.reply(
+      "❌ This link is invalid or has expired. Get a new one from Overlax."
+    );
+    return;
+  }
 
-  if (existing) {
-    if (uid && existing.uid !== uid) {
-      existing.uid = uid;
-      saveChatIds(chatIds);
-      await ctx.reply("✅ Updated! You're connected to Overlax.");
-    } else {
-      await ctx.reply("✅ Already connected! Use /stop to disconnect.");
-    }
+  if (existing?.uid === uid) {
+    await ctx.reply("✅ Already connected! Use /stop to disconnect.");
     return;
   }
 
-  // NEW USER
-  chatIds.push({ chatId, uid: uid || "TEMP_NO_UID" });
-  saveChatIds(chatIds);
-  await ctx.reply("✅ Connected to Overlax! Now you'll get reminders.");
+  await linkChat(db, { chatId, uid, username: ctx.from?.username || null });
+  await ctx.reply(
+    existing
+      ? "✅ Updated! You're connected to Overlax."
+      : "✅ Connected to Overlax! Now you'll get reminders."
+  );
 });
 
 // /stop command — DISCONNECT
@@ -74,26 +83,21 @@ bot.command("stop", async (ctx) => {
   const chatId = ctx.chat.id.toString();
   console.log("[BOT /stop] chatId:", chatId);
 
-  const chatIds = loadChatIds();
-  const oldCount = chatIds.length;
+  const removed = await unlinkChat(db, chatId);
 
-  const filtered = chatIds.filter((c) => c.chatId !== chatId);
-
-  if (oldCount === filtered.length) {
+  if (!removed) {
     await ctx.reply("❌ You weren't connected.");
     return;
   }
 
-  saveChatIds(filtered);
   await ctx.reply("✅ Notifications stopped. Use /start to reconnect.");
-  console.log("[BOT /stop] Removed → chatIds.json:", filtered);
+  console.log("[BOT /stop] Removed link for chatId:", chatId);
 });
 
 // Test command (with debug info)
 bot.command("test", async (ctx) => {
   const chatId = ctx.chat.id.toString();
-  const chatIds = loadChatIds();
-  const isConnected = chatIds.some((c) => c.chatId === chatId);
+  const isConnected = !!(await findLinkByChat(db, chatId));
 
   const message = `🤖 Bot is ALIVE!\n\nYour chatId: ${chatId}\nConnected to Overlax: ${
     isConnected ? "Yes ✅" : "No ❌"
@@ -101,22 +105,247 @@ bot.command("test", async (ctx) => {
   await ctx.reply(message);
 });
 
-// Launch Bot with Safe Options
-bot
-  .launch({
-    dropPendingUpdates: true, // Drop old messages to avoid conflicts
-  })
-  .then(() => {
-    console.log("✅ Telegram Bot LAUNCHED SUCCESSFULLY");
-  })
-  .catch((err) => {
-    console.error("❌ Bot launch error:", err.message);
-    if (err.code === 409) {
-      console.log(
-        "⚠️ 409 Conflict detected – try killing node processes or resetting token."
+// ============================================
+// TASK COMMANDS
+// ============================================
+
+const NOT_CONNECTED =
+  '❌ This chat is not connected. Open Overlax and tap "Connect Telegram".';
+const LIST_LIMIT = 15;
+
+// Replies and returns null when the chat has no linked account
+const requireLink = async (ctx) => {
+  const link = await findLinkByChat(db, ctx.chat.id);
+  if (!link) await ctx.reply(NOT_CONNECTED);
+  return link;
+};
+
+const formatDue = (task, user) =>
+  formatDateTime(task.deadline, user?.timezone, user?.locale);
+
+// Numbered list; the numbers are what /done refers to
+const replyWithList = async (ctx, heading, tasks, user) => {
+  await rememberTaskList(
+    db,
+    ctx.chat.id,
+    tasks.map((t) => t._id.toString())
+  );
+
+  if (tasks.length === 0) {
+    await ctx.reply(`${heading}\n\nNothing here 🎉`);
+    return;
+  }
+
+  const now = new Date();
+  const lines = tasks.map(
+    (t, i) =>
+      `${i + 1}. ${new Date(t.deadline) < now ? "🔴 " : ""}${t.title} (${
+        t.category
+      }) — ${formatDue(t, user)}`
+  );
+  await ctx.reply(
+    `${heading}\n\n${lines.join("\n")}\n\nMark one done: /done <n>`
+  );
+};
+
+const openTasksOf = (uid) =>
+  db
+    .collection("tasks")
+    .find({ uid, status: { $in: OPEN_STATUSES } })
+    .sort({ deadline: 1 })
+    .toArray();
+
+// /tasks — open tasks, soonest deadline first
+bot.command("tasks", async (ctx) => {
+  const link = await requireLink(ctx);
+  if (!link) return;
+
+  const user = await db.collection("users").findOne({ uid: link.uid });
+  const tasks = (await openTasksOf(link.uid)).slice(0, LIST_LIMIT);
+  await replyWithList(ctx, "📋 Your open tasks", tasks, user);
+});
+
+// /today — open tasks due today, plus anything overdue
+bot.command("today", async (ctx) => {
+  const link = await requireLink(ctx);
+  if (!link) return;
+
+  const user = await db.collection("users").findOne({ uid: link.uid });
+  const tz = user?.timezone;
+  const now = new Date();
+  const today = zonedParts(now, tz).dateKey;
+
+  const tasks = (await openTasksOf(link.uid))
+    .filter((t) => {
+      const deadline = new Date(t.deadline);
+      return (
+        !isNaN(deadline) &&
+        (deadline < now || zonedParts(deadline, tz).dateKey === today)
       );
-    }
+    })
+    .slice(0, LIST_LIMIT);
+  await replyWithList(ctx, "📅 Today", tasks, user);
+});
+
+// /add <title> <when> #category
+bot.command("add", async (ctx) => {
+  const link = await requireLink(ctx);
+  if (!link) return;
+
+  const user = await db.collection("users").findOne({ uid: link.uid });
+  const parsed = parseQuickAdd(ctx.payload, { timeZone: user?.timezone });
+  if (parsed.error) {
+    await ctx.reply(
+      "Usage: /add <title> [when] [#category]\ne.g. /add Submit report tomorrow 5pm #Work\n/add Bazar kal shondhay 7 ta"
+    );
+    return;
+  }
+
+  // Match an existing category case-insensitively, Personal by default
+  const category = await matchCategory(db, link.uid, parsed.category);
+
+  const result = await createTask(db, link.uid, {
+    title: parsed.title,
+    category,
+    deadline: parsed.deadline.toISOString(),
   });
+  if (result.error) {
+    await ctx.reply(`❌ ${result.error}`);
+    return;
+  }
+
+  await ctx.reply(
+    `✅ Added "${result.task.title}" (${category})\n📅 Due: ${formatDue(
+      result.task,
+      user
+    )}`
+  );
+});
+
+// /done <n> — n is a number from the last /tasks or /today list
+bot.command("done", async (ctx) => {
+  const link = await requireLink(ctx);
+  if (!link) return;
+
+  const n = Number(ctx.payload?.trim());
+  const taskId = Number.isInteger(n) && n > 0 ? link.lastList?.[n - 1] : null;
+  if (!taskId) {
+    await ctx.reply("Usage: /done <n> — use a number from /tasks or /today");
+    return;
+  }
+
+  const result = await transitionTask(db, link.uid, taskId, "complete");
+  if (result.error) {
+    await ctx.reply(`❌ ${result.error}`);
+    return;
+  }
+  await ctx.reply(`✅ Done: "${result.task.title}"`);
+});
+
+// /pressure — current pressure score and the heaviest tasks
+bot.command("pressure", async (ctx) => {
+  const link = await requireLink(ctx);
+  if (!link) return;
+
+  const user = await db.collection("users").findOne({ uid: link.uid });
+  const pressure = calculatePressure(
+    await openTasksOf(link.uid),
+    user?.pressureSettings || DEFAULT_PRESSURE_SETTINGS,
+    new Date(),
+    user?.timezone
+  );
+
+  let message = `📊 Pressure: ${pressure.pressureLevel} (${pressure.score})\n`;
+  message += `📋 Upcoming: ${pressure.taskCount} · 🔴 Overdue: ${pressure.overdueCount}`;
+  if (pressure.breakdown.length) {
+    message += `\n\nHeaviest:\n`;
+    message += pressure.breakdown
+      .slice(0, 3)
+      .map((b) => `• ${b.title} (${b.score})`)
+      .join("\n");
+  }
+  await ctx.reply(message);
+});
+
+// ============================================
+// REMINDER BUTTONS
+// ============================================
+
+bot.action(ACTION_PATTERN, async (ctx) => {
+  const { action, taskId, minutes } = parseAction(ctx.callbackQuery.data);
+
+  // Only a chat linked to the task's owner may act on it; the service
+  // calls filter on uid, so someone else's task id just comes back 404
+  const link = await findLinkByChat(db, ctx.chat.id);
+  if (!link) {
+    await ctx.answerCbQuery("This chat is not connected");
+    return;
+  }
+
+  let result;
+  let done;
+  if (action === "done") {
+    result = await transitionTask(db, link.uid, taskId, "complete");
+    done = "✅ Marked done";
+  } else if (action === "snooze") {
+    result = await snoozeReminder(db, link.uid, taskId, minutes, "telegram");
+    done = `💤 Snoozed for ${
+      minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`
+    } (${result.snoozesLeft ?? 0} left)`;
+  } else {
+    result = await postponeToTomorrow(db, link.uid, taskId);
+    done = "📆 Moved to tomorrow";
+  }
+
+  if (result.error) {
+    await ctx.answerCbQuery(`❌ ${result.error}`);
+    return;
+  }
+
+  await ctx.answerCbQuery(done);
+  // The buttons have done their job; leave a note under the reminder
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  await ctx.reply(`${done}: "${result.task.title}"`);
+});
+
+bot.catch((err, ctx) => {
+  console.error(`❌ Bot error on ${ctx.updateType}:`, err.message);
+});
+
+// Launch Bot with Safe Options
+const launchBot = (database) => {
+  db = database;
+  bot
+    .launch({
+      dropPendingUpdates: true, // Drop old messages to avoid conflicts
+    })
+    .then(() => {
+      console.log("✅ Telegram Bot LAUNCHED SUCCESSFULLY");
+    })
+    .catch((err) => {
+      console.error("❌ Bot launch error:", err.message);
+      if (err.code === 409) {
+        console.log(
+          "⚠️ 409 Conflict detected – try killing node processes or resetting token."
+        );
+      }
+    });
+
+  // Shows the commands in Telegram's "/" menu
+  bot.telegram
+    .setMyCommands([
+      { command: "tasks", description: "List open tasks" },
+      { command: "today", description: "Tasks due today" },
+      {
+        command: "add",
+        description: "Add a task: /add <title> <when> #category",
+      },
+      { command: "done", description: "Complete a task: /done <n>" },
+      { command: "pressure", description: "Current pressure score" },
+      { command: "stop", description: "Disconnect this chat" },
+    ])
+    .catch((err) => console.error("❌ setMyCommands failed:", err.message));
+};
 
 // Graceful Shutdown
 process.once("SIGINT", () => {
@@ -128,4 +357,4 @@ process.once("SIGTERM", () => {
   console.log("🛑 Bot stopped on SIGTERM");
 });
 
-module.exports = { bot };
+module.exports = { bot, launchBot };
@@ -0,0 +1,206 @@
+// test/aiChat.test.js
+// POST /api/ai/chat end to end on the mock provider: an in-memory
+// database, and a verifyToken that takes "Bearer <uid>" at its word.
+process.env.AI_PROVIDER = "mock";
+process.env.AI_REQUESTS_PER_MINUTE = "5";
+delete process.env.AI_FALLBACK_PROVIDER;
+// The routes log with emoji, which Node 20's test runner can fail to
+// parse when a character is split between two chunks of output
+console.log = () => {};
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const express = require("express");
+const { fakeDb } = require("./helpers/fakeDb");
+
+const verifyTokenPath = require.resolve("../utils/verifyToken");
+require.cache[verifyTokenPath] = {
+  id: verifyTokenPath,
+  filename: verifyTokenPath,
+  loaded: true,
+  exports: (req, res, next) => {
+    const uid = req.headers.authorization?.match(/^Bearer (\S+)$/)?.[1];
+    if (!uid) return res.status(401).json({ error: "No token provided" });
+    req.user = { uid };
+    next();
+  },
+};
+const aiRouter = require("../routes/ai");
+
+// ============================================
+// SERVER
+// ============================================
+
+const app = express();
+let db;
+let server;
+let baseUrl;
+
+before(async () => {
+  app.use(express.json());
+  app.use("/api/ai", aiRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/ai`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  db = fakeDb({ users: [{ uid: "u1", timezone: "Asia/Dhaka" }] });
+  app.locals.db = db;
+});
+
+// Sends a chat message and reads the whole event stream
+const chat = async (body, uid = "u1") => {
+  const res = await fetch(`${baseUrl}/chat`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(uid && { Authorization: `Bearer ${uid}` }),
+    },
+    body: JSON.stringify(body),
+  });
+  const text = await res.text();
+  if (!res.headers.get("content-type")?.includes("text/event-stream")) {
+    return { res, json: JSON.parse(text) };
+  }
+
+  const events = [];
+  let reply = "";
+  for (const block of text.split("\n\n").filter(Boolean)) {
+    const type = block.match(/^event: (.+)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    if (type) events.push(JSON.parse(data));
+    else if (data !== "[DONE]") {
+      reply += JSON.parse(data).choices[0].delta.content;
+    }
+  }
+  return { res, events, reply };
+};
+
+// ============================================
+// TESTS
+// ============================================
+
+describe("POST /api/ai/chat", () => {
+  it("needs a token and a message", async () => {
+    assert.equal((await chat({ message: "hi" }, null)).res.status, 401);
+    assert.deepEqual((await chat({ message: " " })).json, {
+      error: "message is required",
+    });
+  });
+
+  it("streams a plain reply and saves the conversation", async () => {
+    const { res, events, reply } = await chat({ message: "hello there" });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(events, []);
+    assert.equal(reply, "Mock reply: hello there");
+
+    const [conversation] = db.data.conversations;
+    assert.equal(
+      res.headers.get("x-conversation-id"),
+      String(conversation._id)
+    );
+    assert.deepEqual(
+      conversation.messages.map((m) => [m.role, m.content]),
+      [
+        ["user", "hello there"],
+        ["assistant", "Mock reply: hello there"],
+      ]
+    );
+  });
+
+  it("runs tool calls and reports them back", async () => {
+    const message =
+      '/tool create_task {"title": "Buy milk", "deadline": "2030-01-15T17:00"}';
+    const { events, reply } = await chat({ message });
+
+    const [call, result] = events;
+    assert.equal(call.type, "tool_call");
+    assert.equal(call.tool, "create_task");
+    assert.deepEqual(call.arguments, {
+      title: "Buy milk",
+      deadline: "2030-01-15T17:00",
+    });
+    assert.equal(result.type, "tool_result");
+    assert.equal(result.id, call.id);
+    assert.equal(result.ok, true);
+    assert.equal(reply, "Done: ok");
+
+    // Local time in the user's zone, stored as UTC
+    const [task] = db.data.tasks;
+    assert.equal(task.uid, "u1");
+    assert.equal(task.title, "Buy milk");
+    assert.equal(task.deadline, "2030-01-15T11:00:00.000Z");
+
+    const [conversation] = db.data.conversations;
+    assert.deepEqual(conversation.messages[1].tools, [
+      { tool: "create_task", ok: true },
+    ]);
+
+    const [usage] = db.data.ai_usage;
+    assert.equal(usage.status, "done");
+    assert.equal(usage.provider, "mock");
+    assert.ok(usage.totalTokens > 0);
+  });
+
+  it("reports failing tool calls without creating anything", async () => {
+    const { events, reply } = await chat({
+      message: '/tool create_task {"title": "No deadline"}',
+    });
+
+    assert.equal(events[1].ok, false);
+    assert.match(reply, /^Done: /);
+    assert.deepEqual(db.data.tasks, []);
+  });
+
+  it("only touches the signed-in user's tasks", async () => {
+    const task = (uid) => ({
+      _id: new ObjectId(),
+      uid,
+      title: "Report",
+      category: "Work",
+      status: "todo",
+      deadline: "2030-01-15T11:00:00.000Z",
+    });
+    const [mine, theirs] = (db.data.tasks = [task("u1"), task("u2")]);
+    const complete = async (id) =>
+      (await chat({ message: `/tool complete_task {"taskId": "${id}"}` }))
+        .events[1];
+
+    assert.equal((await complete(mine._id)).ok, true);
+    assert.equal(mine.status, "done");
+
+    assert.deepEqual(
+      { ...(await complete(theirs._id)), id: undefined },
+      {
+        type: "tool_result",
+        id: undefined,
+        tool: "complete_task",
+        ok: false,
+        error: "Task not found",
+      }
+    );
+    assert.equal(theirs.status, "todo");
+  });
+
+  it("rate limits requests with Retry-After", async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await chat({ message: `hi ${i}` })).res.status, 200);
+    }
+
+    const { res, json } = await chat({ message: "one more" });
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+    assert.equal(json.retryAfter, Number(res.headers.get("retry-after")));
+  });
+
+  it("rejects providers that are not set up", async () => {
+    const { res, json } = await chat({ message: "hi", provider: "nope" });
+    assert.equal(res.status, 400);
+    assert.equal(json.error, "Unknown provider: nope");
+  });
+});
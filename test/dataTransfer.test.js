@@ -0,0 +1,80 @@
+// test/dataTransfer.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { importData } = require("../utils/dataTransfer");
+const { fakeDb } = require("./helpers/fakeDb");
+
+// An export of two of u1's tasks
+const backup = () => ({
+  tasks: [
+    {
+      id: new ObjectId().toString(),
+      title: "Thesis draft",
+      category: "Academic",
+      deadline: "2030-01-15T11:00:00.000Z",
+      status: "todo",
+    },
+    {
+      id: new ObjectId().toString(),
+      title: "Groceries",
+      category: "Home",
+      deadline: "2030-01-10T09:00:00.000Z",
+      status: "done",
+    },
+  ],
+});
+
+let db;
+
+beforeEach(() => {
+  db = fakeDb({
+    users: [
+      { uid: "u1", timezone: "UTC" },
+      { uid: "u2", timezone: "UTC" },
+    ],
+  });
+});
+
+describe("importData", () => {
+  it("imports the same backup only once", async () => {
+    const data = backup();
+
+    const first = await importData(db, "u2", data);
+    assert.deepEqual(first.tasks, { imported: 2, skipped: 0, failed: 0 });
+    assert.deepEqual(
+      db.data.tasks.map((t) => [t.uid, t.title, t.importedFrom]),
+      [
+        ["u2", "Thesis draft", data.tasks[0].id],
+        ["u2", "Groceries", data.tasks[1].id],
+      ]
+    );
+
+    const second = await importData(db, "u2", data);
+    assert.deepEqual(second.tasks, { imported: 0, skipped: 2, failed: 0 });
+    assert.equal(db.data.tasks.length, 2);
+  });
+
+  it("skips tasks the user already has", async () => {
+    const data = backup();
+    db.data.tasks = [
+      { _id: new ObjectId(data.tasks[0].id), uid: "u1", title: "Thesis" },
+    ];
+
+    const report = await importData(db, "u1", data);
+    assert.deepEqual(report.tasks, { imported: 1, skipped: 1, failed: 0 });
+    assert.deepEqual(
+      db.data.tasks.map((t) => t.title),
+      ["Thesis", "Groceries"]
+    );
+  });
+
+  it("imports another account's backup into each account", async () => {
+    const data = backup();
+    await importData(db, "u1", data);
+
+    const report = await importData(db, "u2", data);
+    assert.equal(report.tasks.imported, 2);
+    assert.equal(db.data.tasks.length, 4);
+  });
+});
@@ -0,0 +1,104 @@
+// test/dateExpression.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseDateExpression,
+  extractDateExpression,
+  resolveDeadline,
+} = require("../utils/dateExpression");
+
+// Wednesday 2025-11-19, 16:00 in Dhaka (UTC+6, no DST)
+const now = new Date("2025-11-19T10:00:00Z");
+const timeZone = "Asia/Dhaka";
+const opts = { now, timeZone };
+
+const parse = (text) => parseDateExpression(text, opts)?.toISOString() ?? null;
+
+describe("parseDateExpression", () => {
+  it("reads English relative dates", () => {
+    assert.equal(parse("tomorrow 5pm"), "2025-11-20T11:00:00.000Z");
+    assert.equal(parse("in 3 hours"), "2025-11-19T13:00:00.000Z");
+    assert.equal(parse("this friday"), "2025-11-21T03:00:00.000Z");
+    assert.equal(parse("next monday 17:30"), "2025-11-24T11:30:00.000Z");
+    assert.equal(parse("end of month"), "2025-11-30T17:59:00.000Z");
+  });
+
+  it("reads calendar dates", () => {
+    assert.equal(parse("28 Nov"), "2025-11-28T03:00:00.000Z");
+    assert.equal(parse("nov 28 2026"), "2026-11-28T03:00:00.000Z");
+  });
+
+  it("reads Banglish and Bangla", () => {
+    assert.equal(parse("kal raat 9 ta"), "2025-11-20T15:00:00.000Z");
+    assert.equal(parse("2 din por"), "2025-11-21T03:00:00.000Z");
+    assert.equal(parse("আজ বিকেল ৫টায়"), "2025-11-19T11:00:00.000Z");
+  });
+
+  it("reads bare hours the way people say them", () => {
+    // 1-6 are afternoon hours, still ahead today
+    assert.equal(parse("at 5"), "2025-11-19T11:00:00.000Z");
+    // Already past today, so tomorrow
+    assert.equal(parse("3pm"), "2025-11-20T09:00:00.000Z");
+  });
+
+  it("returns null for text that is not a date", () => {
+    assert.equal(parse("buy milk"), null);
+    assert.equal(parse("night"), null);
+    assert.equal(parse(""), null);
+  });
+});
+
+describe("extractDateExpression", () => {
+  const extract = (text) => {
+    const found = extractDateExpression(text, opts);
+    return (
+      found && { deadline: found.deadline.toISOString(), rest: found.rest }
+    );
+  };
+
+  it("takes the date phrase out of the title", () => {
+    assert.deepEqual(extract("Submit report tomorrow 5pm"), {
+      deadline: "2025-11-20T11:00:00.000Z",
+      rest: "Submit report",
+    });
+    assert.deepEqual(extract("Pay rent by friday"), {
+      deadline: "2025-11-21T03:00:00.000Z",
+      rest: "Pay rent",
+    });
+  });
+
+  it("leaves weak part-of-day words alone", () => {
+    assert.equal(extract("check exchange rate"), null);
+  });
+
+  it("only reads day abbreviations at the end or after a preposition", () => {
+    assert.equal(extract("Email sat results"), null);
+    assert.equal(extract("Watch the sun set"), null);
+    assert.deepEqual(extract("Email results sat"), {
+      deadline: "2025-11-22T03:00:00.000Z",
+      rest: "Email results",
+    });
+    assert.deepEqual(extract("Dinner on sat with Ana"), {
+      deadline: "2025-11-22T03:00:00.000Z",
+      rest: "Dinner with Ana",
+    });
+  });
+});
+
+describe("resolveDeadline", () => {
+  it("takes ISO dates on the user's clock", () => {
+    assert.equal(
+      resolveDeadline("2025-11-20T17:30", opts),
+      "2025-11-20T11:30:00.000Z"
+    );
+    assert.equal(
+      resolveDeadline("2025-11-20T11:30:00Z", opts),
+      "2025-11-20T11:30:00.000Z"
+    );
+  });
+
+  it("falls back to expressions", () => {
+    assert.equal(resolveDeadline("tomorrow", opts), "2025-11-20T03:00:00.000Z");
+    assert.equal(resolveDeadline("whenever", opts), null);
+  });
+});
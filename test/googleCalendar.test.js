@@ -0,0 +1,335 @@
+// test/googleCalendar.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { pushTask, pullChanges, syncUser } = require("../utils/googleCalendar");
+const { fakeDb } = require("./helpers/fakeDb");
+
+// ============================================
+// STUBBED CALENDAR CLIENT
+// ============================================
+// Records every call. `list` answers from `pages`, a function of the
+// request; any handler can throw to play a Google error.
+
+const googleError = (code) =>
+  Object.assign(new Error(`HTTP ${code}`), { code });
+
+const fakeCalendar = ({ pages = () => ({}), patch } = {}) => {
+  const calls = [];
+  let nextId = 1;
+  const record = (method, params) => calls.push({ method, params });
+
+  return {
+    calls,
+    callsTo: (method) => calls.filter((c) => c.method === method),
+    calendars: {
+      insert: async (params) => {
+        record("calendars.insert", params);
+        return { data: { id: "cal-1" } };
+      },
+    },
+    events: {
+      insert: async (params) => {
+        record("events.insert", params);
+        return {
+          data: { id: `evt-${nextId++}`, updated: "2025-11-19T10:00:00.000Z" },
+        };
+      },
+      patch: async (params) => {
+        record("events.patch", params);
+        if (patch) return patch(params);
+        return {
+          data: { id: params.eventId, updated: "2025-11-19T11:00:00.000Z" },
+        };
+      },
+      delete: async (params) => {
+        record("events.delete", params);
+        return { data: {} };
+      },
+      list: async (params) => {
+        record("events.list", params);
+        return { data: pages(params) };
+      },
+    },
+  };
+};
+
+// ============================================
+// FIXTURES
+// ============================================
+
+let data;
+let db;
+let user;
+
+const addTask = (fields) => {
+  const task = {
+    _id: new ObjectId(),
+    uid: "u1",
+    title: "Write thesis",
+    category: "Study",
+    status: "todo",
+    deadline: "2025-11-20T03:00:00.000Z",
+    ...fields,
+  };
+  data.tasks.push(task);
+  return task;
+};
+
+const taskById = (id) => data.tasks.find((t) => t._id.equals(id));
+
+beforeEach(() => {
+  user = {
+    uid: "u1",
+    timezone: "Asia/Dhaka",
+    googleCalendar: { calendarId: "cal-1", syncToken: "sync-old" },
+  };
+  data = { users: [user], tasks: [] };
+  db = fakeDb(data);
+});
+
+// ============================================
+// TESTS
+// ============================================
+
+describe("pushTask", () => {
+  it("creates the calendar on first use and an event for the task", async () => {
+    delete user.googleCalendar;
+    const calendar = fakeCalendar();
+    const task = addTask({ estimatedMinutes: 90 });
+
+    assert.equal(await pushTask(db, user, task, calendar), "created");
+
+    const [created] = calendar.callsTo("calendars.insert");
+    assert.equal(created.params.requestBody.timeZone, "Asia/Dhaka");
+    assert.equal(user.googleCalendar.calendarId, "cal-1");
+
+    const [inserted] = calendar.callsTo("events.insert");
+    assert.equal(inserted.params.calendarId, "cal-1");
+    assert.deepEqual(inserted.params.requestBody.start, {
+      dateTime: "2025-11-20T03:00:00.000Z",
+    });
+    assert.deepEqual(inserted.params.requestBody.end, {
+      dateTime: "2025-11-20T04:30:00.000Z",
+    });
+    assert.equal(
+      inserted.params.requestBody.extendedProperties.private.overlaxTaskId,
+      task._id.toString()
+    );
+    assert.deepEqual(taskById(task._id).googleEvent, {
+      id: "evt-1",
+      updated: "2025-11-19T10:00:00.000Z",
+    });
+  });
+
+  it("updates an existing event", async () => {
+    const calendar = fakeCalendar();
+    const task = addTask({
+      googleEvent: { id: "evt-9", updated: "2025-11-18T00:00:00.000Z" },
+    });
+
+    assert.equal(await pushTask(db, user, task, calendar), "updated");
+    assert.equal(calendar.callsTo("events.insert").length, 0);
+    assert.deepEqual(taskById(task._id).googleEvent, {
+      id: "evt-9",
+      updated: "2025-11-19T11:00:00.000Z",
+    });
+  });
+
+  it("creates the event again when it was deleted in Google", async () => {
+    const calendar = fakeCalendar({
+      patch: () => {
+        throw googleError(404);
+      },
+    });
+    const task = addTask({ googleEvent: { id: "evt-gone", updated: null } });
+
+    await pushTask(db, user, task, calendar);
+    assert.equal(calendar.callsTo("events.insert").length, 1);
+    assert.equal(taskById(task._id).googleEvent.id, "evt-1");
+  });
+
+  it("removes the event of a finished task", async () => {
+    const calendar = fakeCalendar();
+    const task = addTask({
+      status: "done",
+      googleEvent: { id: "evt-9", updated: "2025-11-18T00:00:00.000Z" },
+    });
+
+    assert.equal(await pushTask(db, user, task, calendar), "deleted");
+    assert.equal(calendar.callsTo("events.delete")[0].params.eventId, "evt-9");
+    assert.equal(taskById(task._id).googleEvent, undefined);
+  });
+
+  it("skips tasks without a deadline", async () => {
+    const calendar = fakeCalendar();
+    const task = addTask({ deadline: null });
+
+    assert.equal(await pushTask(db, user, task, calendar), "skipped");
+    assert.equal(calendar.calls.length, 0);
+  });
+});
+
+describe("pullChanges", () => {
+  const ours = (task, fields) => ({
+    id: task.googleEvent.id,
+    extendedProperties: { private: { overlaxTaskId: task._id.toString() } },
+    ...fields,
+  });
+
+  it("applies moved, renamed and deleted events", async () => {
+    const moved = addTask({
+      googleEvent: { id: "evt-1", updated: "2025-11-18T00:00:00.000Z" },
+    });
+    const cancelled = addTask({
+      title: "Gym",
+      googleEvent: { id: "evt-2", updated: "2025-11-18T00:00:00.000Z" },
+    });
+    const echoed = addTask({
+      title: "Call bank",
+      googleEvent: { id: "evt-3", updated: "2025-11-19T00:00:00.000Z" },
+    });
+
+    const calendar = fakeCalendar({
+      pages: () => ({
+        items: [
+          ours(moved, {
+            updated: "2025-11-19T08:00:00.000Z",
+            summary: "Write thesis intro",
+            start: { dateTime: "2025-11-21T05:00:00.000Z" },
+          }),
+          // What Google sends for a deleted event
+          { id: cancelled.googleEvent.id, status: "cancelled" },
+          ours(echoed, { updated: "2025-11-19T00:00:00.000Z" }),
+          { id: "someone-elses", updated: "2025-11-19T08:00:00.000Z" },
+        ],
+        nextSyncToken: "sync-new",
+      }),
+    });
+
+    assert.deepEqual(await pullChanges(db, user, calendar), {
+      updated: 1,
+      archived: 1,
+    });
+
+    assert.equal(taskById(moved._id).title, "Write thesis intro");
+    assert.equal(taskById(moved._id).deadline, "2025-11-21T05:00:00.000Z");
+    assert.equal(taskById(cancelled._id).status, "archived");
+    assert.equal(taskById(cancelled._id).googleEvent, undefined);
+    assert.equal(taskById(echoed._id).title, "Call bank");
+    assert.equal(data.users[0].googleCalendar.syncToken, "sync-new");
+  });
+
+  it("links an event of ours back to a task that lost its id", async () => {
+    const unlinked = addTask({ title: "Lab report" });
+    addTask({ title: "Linked elsewhere", googleEvent: { id: "evt-7" } });
+    const calendar = fakeCalendar({
+      pages: () => ({
+        items: [
+          {
+            id: "evt-5",
+            updated: "2025-11-19T08:00:00.000Z",
+            summary: "Lab report v2",
+            extendedProperties: {
+              private: { overlaxTaskId: unlinked._id.toString() },
+            },
+          },
+          // A copy of an event carries the same task id
+          {
+            id: "evt-copy",
+            updated: "2025-11-19T08:00:00.000Z",
+            extendedProperties: {
+              private: { overlaxTaskId: data.tasks[1]._id.toString() },
+            },
+          },
+        ],
+      }),
+    });
+
+    assert.deepEqual(await pullChanges(db, user, calendar), {
+      updated: 1,
+      archived: 0,
+    });
+    assert.deepEqual(taskById(unlinked._id).googleEvent, {
+      id: "evt-5",
+      updated: "2025-11-19T08:00:00.000Z",
+    });
+    assert.equal(taskById(unlinked._id).title, "Lab report v2");
+    assert.equal(data.tasks[1].googleEvent.id, "evt-7");
+  });
+
+  it("follows every page", async () => {
+    const calendar = fakeCalendar({
+      pages: ({ pageToken }) =>
+        pageToken ? { nextSyncToken: "sync-new" } : { nextPageToken: "p2" },
+    });
+
+    await pullChanges(db, user, calendar);
+    assert.deepEqual(
+      calendar.callsTo("events.list").map((c) => c.params.pageToken),
+      [undefined, "p2"]
+    );
+    assert.equal(data.users[0].googleCalendar.syncToken, "sync-new");
+  });
+
+  it("does a full sync when Google expires the sync token (410)", async () => {
+    const calendar = fakeCalendar({
+      pages: ({ syncToken }) => {
+        if (syncToken) throw googleError(410);
+        return { items: [], nextSyncToken: "sync-fresh" };
+      },
+    });
+
+    await pullChanges(db, user, calendar);
+
+    const lists = calendar.callsTo("events.list");
+    assert.equal(lists.length, 2);
+    assert.equal(lists[0].params.syncToken, "sync-old");
+    assert.equal(lists[1].params.syncToken, undefined);
+    assert.equal(data.users[0].googleCalendar.syncToken, "sync-fresh");
+  });
+
+  it("passes on other errors", async () => {
+    const calendar = fakeCalendar({
+      pages: () => {
+        throw googleError(500);
+      },
+    });
+
+    await assert.rejects(pullChanges(db, user, calendar), { code: 500 });
+    assert.equal(data.users[0].googleCalendar.syncToken, "sync-old");
+  });
+});
+
+describe("syncUser", () => {
+  it("pushes new and changed tasks, not unchanged ones", async () => {
+    const fresh = addTask({ title: "New" });
+    addTask({
+      title: "Unchanged",
+      updatedAt: new Date("2025-11-18T00:00:00.000Z"),
+      googleEvent: { id: "evt-8", updated: "2025-11-18T00:00:00.000Z" },
+    });
+    const changed = addTask({
+      title: "Changed",
+      updatedAt: new Date("2025-11-19T09:00:00.000Z"),
+      googleEvent: { id: "evt-9", updated: "2025-11-18T00:00:00.000Z" },
+    });
+    addTask({ title: "Done, never synced", status: "done" });
+
+    const calendar = fakeCalendar({
+      pages: () => ({ items: [], nextSyncToken: "sync-new" }),
+    });
+    const result = await syncUser(db, user, calendar);
+
+    assert.deepEqual(result, {
+      pushed: { created: 1, updated: 1, deleted: 0 },
+      pulled: { updated: 0, archived: 0 },
+    });
+    assert.equal(
+      calendar.callsTo("events.insert")[0].params.requestBody.summary,
+      fresh.title
+    );
+    assert.equal(calendar.callsTo("events.patch")[0].params.eventId, "evt-9");
+    assert.equal(taskById(changed._id).googleEvent.id, "evt-9");
+  });
+});
@@ -0,0 +1,218 @@
+// test/helpers/fakeDb.js
+// In-memory stand-in for the MongoDB driver, for tests. Collections are
+// plain arrays in `db.data`, so tests can seed and inspect them directly:
+//   const db = fakeDb({ users: [{ uid: "u1" }] });
+//   db.data.tasks   // every task inserted so far
+// Supports what the app's queries use: dotted paths, $and / $or, the
+// comparison operators, $exists, $regex; $set / $unset / $inc / $push
+// updates, and $setOnInsert on upserts; find() cursors with sort / limit; and $match + $group
+// aggregations that sum fields.
+const { ObjectId } = require("mongodb");
+
+const isMissing = (v) => v === null || v === undefined;
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) target = target[key] ||= {};
+  target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => value?.[key], doc);
+  if (target) delete target[last];
+};
+
+const kindOf = (v) =>
+  v instanceof ObjectId ? "objectId" : v instanceof Date ? "date" : typeof v;
+const sortKey = (v) =>
+  v instanceof ObjectId ? v.toHexString() : v instanceof Date ? v.getTime() : v;
+
+// MongoDB order: missing values first. Values of different types never
+// equal each other - an id string doesn't match an ObjectId.
+const compare = (a, b) => {
+  if (isMissing(a) || isMissing(b)) {
+    return isMissing(a) ? (isMissing(b) ? 0 : -1) : 1;
+  }
+  if (kindOf(a) !== kindOf(b)) return kindOf(a) < kindOf(b) ? -1 : 1;
+  const [x, y] = [sortKey(a), sortKey(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+// null matches missing fields; arrays match any of their elements
+const equals = (value, expected) => {
+  if (expected === null) return isMissing(value);
+  if (Array.isArray(value)) return value.some((v) => equals(v, expected));
+  return !isMissing(value) && compare(value, expected) === 0;
+};
+
+const OPERATORS = {
+  $gt: (v, x) => !isMissing(v) && compare(v, x) > 0,
+  $gte: (v, x) => !isMissing(v) && compare(v, x) >= 0,
+  $lt: (v, x) => !isMissing(v) && compare(v, x) < 0,
+  $lte: (v, x) => !isMissing(v) && compare(v, x) <= 0,
+  $ne: (v, x) => !equals(v, x),
+  $in: (v, list) => list.some((x) => equals(v, x)),
+  $nin: (v, list) => !list.some((x) => equals(v, x)),
+  $exists: (v, x) => (v !== undefined) === x,
+  $regex: (v, source, cond) =>
+    typeof v === "string" && new RegExp(source, cond.$options).test(v),
+  $options: () => true,
+};
+
+const isOperatorObject = (cond) =>
+  cond !== null &&
+  typeof cond === "object" &&
+  !(cond instanceof ObjectId) &&
+  !(cond instanceof Date) &&
+  Object.keys(cond).every((k) => k.startsWith("$"));
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, cond]) => {
+    if (key === "$and") return cond.every((f) => matches(doc, f));
+    if (key === "$or") return cond.some((f) => matches(doc, f));
+    const value = getPath(doc, key);
+    if (isOperatorObject(cond)) {
+      return Object.entries(cond).every(([op, x]) => {
+        if (!OPERATORS[op]) throw new Error(`fakeDb: unsupported ${op}`);
+        return OPERATORS[op](value, x, cond);
+      });
+    }
+    return equals(value, cond);
+  });
+
+const applyUpdate = (doc, update) => {
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    setPath(doc, path, value);
+  }
+  for (const path of Object.keys(update.$unset || {})) {
+    unsetPath(doc, path);
+  }
+  for (const [path, n] of Object.entries(update.$inc || {})) {
+    setPath(doc, path, (getPath(doc, path) || 0) + n);
+  }
+  for (const [path, push] of Object.entries(update.$push || {})) {
+    const items = push?.$each || [push];
+    let list = [...(getPath(doc, path) || []), ...items];
+    if (push?.$slice !== undefined) list = list.slice(push.$slice);
+    setPath(doc, path, list);
+  }
+};
+
+// $match, then an optional $group whose fields are { $sum: "$field" }
+const aggregate = (docs, pipeline) => {
+  let rows = docs;
+  for (const stage of pipeline) {
+    if (stage.$match) {
+      rows = rows.filter((d) => matches(d, stage.$match));
+    } else if (stage.$group) {
+      if (!rows.length) return [];
+      const { _id, ...fields } = stage.$group;
+      const total = { _id };
+      for (const [key, { $sum }] of Object.entries(fields)) {
+        total[key] = rows.reduce(
+          (sum, d) =>
+            sum +
+            (typeof $sum === "number" ? $sum : getPath(d, $sum.slice(1)) || 0),
+          0
+        );
+      }
+      rows = [total];
+    } else {
+      throw new Error(`fakeDb: unsupported stage ${Object.keys(stage)[0]}`);
+    }
+  }
+  return rows;
+};
+
+const cursorOf = (rows) => {
+  const cursor = {
+    sort: (spec) => {
+      rows = [...rows].sort((a, b) => {
+        for (const [field, dir] of Object.entries(spec)) {
+          const c = compare(getPath(a, field), getPath(b, field));
+          if (c) return c * dir;
+        }
+        return 0;
+      });
+      return cursor;
+    },
+    limit: (n) => {
+      rows = rows.slice(0, n);
+      return cursor;
+    },
+    toArray: async () => rows,
+  };
+  return cursor;
+};
+
+function fakeDb(data = {}) {
+  return {
+    data,
+    collection: (name) => {
+      const docs = (data[name] ||= []);
+      const first = (filter) => docs.find((d) => matches(d, filter)) || null;
+      const insert = (doc) => {
+        const stored = { ...doc, _id: doc._id || new ObjectId() };
+        docs.push(stored);
+        return stored._id;
+      };
+
+      return {
+        findOne: async (filter) => first(filter),
+        find: (filter) => cursorOf(docs.filter((d) => matches(d, filter))),
+        countDocuments: async (filter) =>
+          docs.filter((d) => matches(d, filter)).length,
+        insertOne: async (doc) => ({ insertedId: insert(doc) }),
+        insertMany: async (list) => ({
+          insertedCount: list.map(insert).length,
+        }),
+        updateOne: async (filter, update, { upsert } = {}) => {
+          let doc = first(filter);
+          if (!doc && upsert) {
+            // The filter's plain values become the new document's fields
+            const seed = Object.fromEntries(
+              Object.entries(filter).filter(
+                ([k, v]) => !k.startsWith("$") && !isOperatorObject(v)
+              )
+            );
+            insert({ ...seed, ...update.$setOnInsert });
+            doc = docs[docs.length - 1];
+          }
+          if (doc) applyUpdate(doc, update);
+          return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+        },
+        updateMany: async (filter, update) => {
+          const matched = docs.filter((d) => matches(d, filter));
+          matched.forEach((d) => applyUpdate(d, update));
+          return {
+            matchedCount: matched.length,
+            modifiedCount: matched.length,
+          };
+        },
+        // Returns the document after the update, like returnDocument: "after"
+        findOneAndUpdate: async (filter, update) => {
+          const doc = first(filter);
+          if (doc) applyUpdate(doc, update);
+          return doc;
+        },
+        deleteOne: async (filter) => {
+          const index = docs.findIndex((d) => matches(d, filter));
+          if (index !== -1) docs.splice(index, 1);
+          return { deletedCount: index === -1 ? 0 : 1 };
+        },
+        aggregate: (pipeline) => ({
+          toArray: async () => aggregate(docs, pipeline),
+        }),
+      };
+    },
+  };
+}
+
+module.exports = { fakeDb, compare };
@@ -0,0 +1,206 @@
+// test/notifications.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  isPrivateAddress,
+  publicLookup,
+  checkPublicUrl,
+} = require("../utils/publicUrl");
+const {
+  claimReminder,
+  hasReminder,
+  recordDelivery,
+} = require("../utils/reminderLedger");
+const { fakeDb } = require("./helpers/fakeDb");
+
+// The push channel loads Firebase, which needs credentials to start
+const firebaseAdminPath = require.resolve("../utils/firebaseAdmin");
+require.cache[firebaseAdminPath] = {
+  id: firebaseAdminPath,
+  filename: firebaseAdminPath,
+  loaded: true,
+  exports: {},
+};
+const { addPushToken } = require("../utils/notifications");
+
+describe("webhook URL checks", () => {
+  it("tells private addresses from public ones", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+      "::ffff:127.0.0.1",
+      "not an address",
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ["93.184.215.14", "2606:4700::1111"]) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it("refuses URLs pointing at the server's network", async () => {
+    assert.deepEqual(await checkPublicUrl("http://169.254.169.254/latest"), {
+      error: "URL points to a private address",
+    });
+    assert.deepEqual(await checkPublicUrl("http://[::1]:5000/"), {
+      error: "URL points to a private address",
+    });
+    assert.deepEqual(await checkPublicUrl("http://localhost:5000/hook"), {
+      error: "URL points to a private address",
+    });
+    assert.deepEqual(await checkPublicUrl("ftp://93.184.215.14/"), {
+      error: "URL must be http(s)",
+    });
+    assert.deepEqual(await checkPublicUrl("not a url"), {
+      error: "Invalid URL",
+    });
+  });
+
+  it("accepts public addresses", async () => {
+    const { url } = await checkPublicUrl("https://93.184.215.14/hook");
+    assert.equal(url.hostname, "93.184.215.14");
+  });
+
+  it("blocks private addresses at connection time", async () => {
+    const err = await new Promise((resolve) =>
+      publicLookup("localhost", {}, (error) => resolve(error))
+    );
+    assert.equal(err.code, "EPRIVATEADDRESS");
+  });
+});
+
+describe("recordDelivery", () => {
+  // Records the update instead of writing it
+  const record = async (entry, results, notification) => {
+    let update;
+    const db = {
+      collection: () => ({
+        updateOne: async (_filter, u) => {
+          update = u;
+        },
+      }),
+    };
+    await recordDelivery(db, { _id: "r1", ...entry }, results, notification);
+    return update;
+  };
+
+  const notification = { title: "Reminder", body: "Report due" };
+  const results = [
+    { channel: "telegram", target: "1", ok: true },
+    {
+      channel: "webhook",
+      target: "https://93.184.215.14/hook",
+      ok: false,
+      retryable: true,
+      error: "timeout",
+    },
+    {
+      channel: "email",
+      target: "a@example.com",
+      ok: false,
+      retryable: false,
+      error: "rejected",
+    },
+  ];
+
+  it("schedules a retry of retryable failures only", async () => {
+    const before = Date.now();
+    const { $set, $unset } = await record(
+      { attemptCount: 1 },
+      results,
+      notification
+    );
+
+    assert.equal($set.status, "sent");
+    assert.equal($set["channels.webhook"].status, "failed");
+    assert.deepEqual($set.retryTargets, [
+      { channel: "webhook", target: "https://93.184.215.14/hook" },
+    ]);
+    assert.deepEqual($set.notification, notification);
+    const wait = $set.retryAt.getTime() - before;
+    assert.ok(wait >= 60 * 1000 && wait < 61 * 1000, `waits ${wait}ms`);
+    assert.equal($unset, undefined);
+  });
+
+  it("waits longer after each attempt", async () => {
+    const before = Date.now();
+    const { $set } = await record({ attemptCount: 2 }, results, notification);
+    const wait = $set.retryAt.getTime() - before;
+    assert.ok(wait >= 4 * 60 * 1000 && wait < 4 * 60 * 1000 + 1000);
+  });
+
+  it("gives up after the last attempt", async () => {
+    const { $set, $unset } = await record(
+      { attemptCount: 3 },
+      results,
+      notification
+    );
+    assert.equal($set.retryAt, undefined);
+    assert.deepEqual($unset, { retryAt: "", retryTargets: "" });
+  });
+
+  it("keeps a reminder sent when a retry fails again", async () => {
+    const { $set } = await record(
+      { attemptCount: 2, sentAt: new Date() },
+      [results[2]],
+      notification
+    );
+    assert.equal($set.status, "sent");
+    assert.equal($set.sentAt, undefined);
+  });
+});
+
+describe("hasReminder", () => {
+  it("finds a reminder once it has been claimed", async () => {
+    const db = fakeDb();
+    const task = { _id: new ObjectId(), uid: "u1", title: "Report" };
+    const overdue = {
+      task,
+      kind: "overdue",
+      scheduledFor: "2030-01-15T11:00:00.000Z",
+    };
+
+    assert.equal(await hasReminder(db, overdue), false);
+    assert.ok(await claimReminder(db, overdue));
+    assert.equal(await hasReminder(db, overdue), true);
+    // A moved deadline is a new reminder
+    assert.equal(
+      await hasReminder(db, {
+        ...overdue,
+        scheduledFor: "2030-01-16T11:00:00.000Z",
+      }),
+      false
+    );
+  });
+});
+
+describe("addPushToken", () => {
+  it("keeps the newest ten tokens and counts what it kept", async () => {
+    const db = fakeDb({ users: [{ uid: "u1" }] });
+    const token = (i) => `browser-token-${String(i).padStart(8, "0")}`;
+
+    for (let i = 1; i <= 12; i++) {
+      const result = await addPushToken(db, "u1", token(i));
+      assert.deepEqual(result, { tokens: Math.min(i, 10) });
+    }
+    // Registering again moves a token to the front without duplicating it
+    assert.deepEqual(await addPushToken(db, "u1", token(5)), { tokens: 10 });
+
+    const [user] = db.data.users;
+    assert.deepEqual(user.notificationChannels.push.tokens.slice(0, 3), [
+      token(5),
+      token(12),
+      token(11),
+    ]);
+    assert.equal(user.notificationChannels.push.tokens.length, 10);
+  });
+});
@@ -0,0 +1,130 @@
+// test/recurrence.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRecurrence, nextOccurrence } = require("../utils/recurrence");
+
+// Runs `rule` from `start` and returns the first `n` occurrences after it
+const occurrences = (rule, start, n, timeZone) => {
+  const dates = [];
+  let current = { scheduledFor: start, occurrenceIndex: 1 };
+  for (let i = 0; i < n; i++) {
+    current = nextOccurrence(
+      rule,
+      { seriesStart: start, ...current },
+      timeZone
+    );
+    if (!current) break;
+    dates.push(current.scheduledFor.toISOString());
+  }
+  return dates;
+};
+
+describe("parseRecurrence", () => {
+  it("reads RRULE strings", () => {
+    assert.deepEqual(parseRecurrence("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"), {
+      freq: "weekly",
+      interval: 2,
+      byWeekday: [1, 3],
+    });
+  });
+
+  it("rejects invalid schedules", () => {
+    assert.equal(parseRecurrence({ freq: "hourly" }), null);
+    assert.equal(parseRecurrence({ freq: "daily", interval: 0 }), null);
+    assert.equal(parseRecurrence("{not json"), null);
+  });
+});
+
+describe("nextOccurrence", () => {
+  it("repeats every N days", () => {
+    assert.deepEqual(
+      occurrences(
+        { freq: "daily", interval: 3 },
+        "2025-11-20T03:00:00.000Z",
+        2,
+        "Asia/Dhaka"
+      ),
+      ["2025-11-23T03:00:00.000Z", "2025-11-26T03:00:00.000Z"]
+    );
+  });
+
+  it("keeps the wall-clock time across a DST change", () => {
+    // 09:00 in New York, before and after clocks go back on Nov 2
+    assert.deepEqual(
+      occurrences(
+        { freq: "daily", interval: 1 },
+        "2025-11-01T13:00:00.000Z",
+        2,
+        "America/New_York"
+      ),
+      ["2025-11-02T14:00:00.000Z", "2025-11-03T14:00:00.000Z"]
+    );
+  });
+
+  it("counts days on the owner's calendar", () => {
+    // Tuesday 01:30 in Dhaka is still Monday in UTC
+    assert.deepEqual(
+      occurrences(
+        { freq: "weekly", interval: 1, byWeekday: [2] },
+        "2025-11-17T19:30:00.000Z",
+        2,
+        "Asia/Dhaka"
+      ),
+      ["2025-11-24T19:30:00.000Z", "2025-12-01T19:30:00.000Z"]
+    );
+  });
+
+  it("skips weeks for weekly schedules with an interval", () => {
+    assert.deepEqual(
+      occurrences(
+        { freq: "weekly", interval: 2, byWeekday: [1, 3] },
+        "2025-11-17T03:00:00.000Z",
+        4,
+        "Asia/Dhaka"
+      ),
+      [
+        "2025-11-19T03:00:00.000Z",
+        "2025-12-01T03:00:00.000Z",
+        "2025-12-03T03:00:00.000Z",
+        "2025-12-15T03:00:00.000Z",
+      ]
+    );
+  });
+
+  it("clamps monthly dates to short months", () => {
+    assert.deepEqual(
+      occurrences(
+        { freq: "monthly", interval: 1 },
+        "2025-01-31T03:00:00.000Z",
+        3,
+        "Asia/Dhaka"
+      ),
+      [
+        "2025-02-28T03:00:00.000Z",
+        "2025-03-31T03:00:00.000Z",
+        "2025-04-30T03:00:00.000Z",
+      ]
+    );
+  });
+
+  it("stops at count and until", () => {
+    assert.deepEqual(
+      occurrences(
+        { freq: "daily", interval: 1, count: 3 },
+        "2025-11-20T03:00:00.000Z",
+        5,
+        "Asia/Dhaka"
+      ),
+      ["2025-11-21T03:00:00.000Z", "2025-11-22T03:00:00.000Z"]
+    );
+    assert.deepEqual(
+      occurrences(
+        { freq: "daily", interval: 1, until: "2025-11-21T12:00:00.000Z" },
+        "2025-11-20T03:00:00.000Z",
+        5,
+        "Asia/Dhaka"
+      ),
+      ["2025-11-21T03:00:00.000Z"]
+    );
+  });
+});
@@ -0,0 +1,161 @@
+// test/taskQuery.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { findTasksPage } = require("../utils/taskQuery");
+const { fakeDb } = require("./helpers/fakeDb");
+
+// ============================================
+// FIXTURES
+// ============================================
+
+const task = (title, fields = {}) => ({
+  _id: new ObjectId(),
+  uid: "u1",
+  title,
+  category: "Work",
+  status: "todo",
+  tags: [],
+  deadline: null,
+  createdAt: new Date("2025-11-01T00:00:00Z"),
+  ...fields,
+});
+
+const TASKS = [
+  task("Thesis draft", { deadline: "2025-11-20T03:00:00.000Z" }),
+  task("Thesis slides", { deadline: "2025-11-20T03:00:00.000Z" }),
+  task("Lab report", { deadline: "2025-11-10T03:00:00.000Z", tags: ["lab"] }),
+  task("Groceries", { category: "Home", status: "done" }),
+  task("Learn C++", { deadline: "2025-12-01T03:00:00.000Z" }),
+  task("Call bank", { status: "in-progress" }),
+  task("Gym", { deadline: "2025-11-15T03:00:00.000Z", category: "Health" }),
+  task("Other user", { uid: "u2", deadline: "2025-11-12T03:00:00.000Z" }),
+];
+const db = fakeDb({
+  users: [{ uid: "u1", timezone: "Asia/Dhaka" }],
+  tasks: TASKS,
+});
+
+// Follows nextCursor until the end and returns every page's titles
+const allPages = async (query) => {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await findTasksPage(db, "u1", { ...query, cursor });
+    assert.equal(page.error, undefined);
+    pages.push(page.tasks.map((t) => t.title));
+    cursor = page.nextCursor;
+    assert.equal(page.hasMore, Boolean(cursor));
+  } while (cursor);
+  return pages;
+};
+
+const titles = async (query) =>
+  (await findTasksPage(db, "u1", query)).tasks.map((t) => t.title);
+
+// ============================================
+// TESTS
+// ============================================
+
+describe("findTasksPage cursors", () => {
+  // Ties are broken by _id, which follows the order of TASKS
+  it("pages through every task once, in deadline order", async () => {
+    assert.deepEqual(await allPages({ limit: "2" }), [
+      ["Groceries", "Call bank"],
+      ["Lab report", "Gym"],
+      ["Thesis draft", "Thesis slides"],
+      ["Learn C++"],
+    ]);
+  });
+
+  it("pages in descending order with missing values last", async () => {
+    assert.deepEqual(await allPages({ limit: "3", order: "desc" }), [
+      ["Learn C++", "Thesis slides", "Thesis draft"],
+      ["Gym", "Lab report", "Call bank"],
+      ["Groceries"],
+    ]);
+  });
+
+  it("pages by title", async () => {
+    const pages = await allPages({ sort: "title", limit: "4" });
+    assert.deepEqual(pages, [
+      ["Call bank", "Groceries", "Gym", "Lab report"],
+      ["Learn C++", "Thesis draft", "Thesis slides"],
+    ]);
+  });
+
+  it("returns the whole list without limit or cursor", async () => {
+    const page = await findTasksPage(db, "u1", {});
+    assert.equal(page.tasks.length, 7);
+    assert.equal(page.hasMore, false);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it("rejects malformed cursors", async () => {
+    assert.deepEqual(await findTasksPage(db, "u1", { cursor: "nope" }), {
+      error: "Invalid cursor",
+    });
+  });
+});
+
+describe("findTasksPage filters", () => {
+  it("filters by status, category and tag", async () => {
+    assert.deepEqual(
+      await titles({ status: "done,in-progress", sort: "title" }),
+      ["Call bank", "Groceries"]
+    );
+    assert.deepEqual(await titles({ category: "Health" }), ["Gym"]);
+    assert.deepEqual(await titles({ tag: "LAB" }), ["Lab report"]);
+  });
+
+  it("filters by deadline range", async () => {
+    assert.deepEqual(
+      await titles({ deadlineFrom: "2025-11-12", deadlineTo: "2025-11-20" }),
+      ["Gym", "Thesis draft", "Thesis slides"]
+    );
+    assert.deepEqual(
+      await titles({ deadlineFrom: "2025-11-20T00:00:00Z", sort: "title" }),
+      ["Learn C++", "Thesis draft", "Thesis slides"]
+    );
+  });
+
+  it("takes bare dates as whole days in the user's timezone", async () => {
+    // Asia/Dhaka is UTC+6: November 20th there is 19th 18:00 to 20th 18:00 UTC
+    const dayDb = fakeDb({
+      users: [{ uid: "u1", timezone: "Asia/Dhaka" }],
+      tasks: [
+        task("19th, 23:59", { deadline: "2025-11-19T17:59:00.000Z" }),
+        task("20th, 00:00", { deadline: "2025-11-19T18:00:00.000Z" }),
+        task("20th, 23:59", { deadline: "2025-11-20T17:59:00.000Z" }),
+        task("21st, 00:00", { deadline: "2025-11-20T18:00:00.000Z" }),
+      ],
+    });
+    const page = await findTasksPage(dayDb, "u1", {
+      deadlineFrom: "2025-11-20",
+      deadlineTo: "2025-11-20",
+    });
+    assert.deepEqual(
+      page.tasks.map((t) => t.title),
+      ["20th, 00:00", "20th, 23:59"]
+    );
+  });
+
+  it("searches titles case-insensitively and literally", async () => {
+    assert.deepEqual(await titles({ q: "thesis", sort: "title" }), [
+      "Thesis draft",
+      "Thesis slides",
+    ]);
+    assert.deepEqual(await titles({ q: "c++" }), ["Learn C++"]);
+  });
+
+  it("rejects invalid parameters", async () => {
+    for (const [query, error] of [
+      [{ status: "later" }, "Invalid status"],
+      [{ sort: "priority" }, "Invalid sort field"],
+      [{ limit: "0" }, "Invalid limit"],
+      [{ deadlineFrom: "someday" }, "Invalid deadlineFrom"],
+    ]) {
+      assert.deepEqual(await findTasksPage(db, "u1", query), { error });
+    }
+  });
+});
@@ -0,0 +1,289 @@
+// utils/aiTools.js
+// Tools the AI assistant can call (OpenAI function-calling format), and
+// the code that runs them. Arguments come from the model, so they are
+// validated like any request body; every run returns { ok, result } or
+// { ok: false, error } for the model to read back.
+const { OPEN_STATUSES, TASK_STATUSES } = require("./taskStatus");
+const { PRIORITIES } = require("./taskAttributes");
+const {
+  createTask,
+  updateTask,
+  deleteTask,
+  transitionTask,
+  matchCategory,
+} = require("./taskService");
+const { findTasksPage } = require("./taskQuery");
+const { DEFAULT_PRESSURE_SETTINGS, calculatePressure } = require("./pressure");
+const { formatDateTime } = require("./timezone");
+const { resolveDeadline } = require("./dateExpression");
+
+const MAX_LIST_LIMIT = 50;
+
+const TASK_ID = {
+  type: "string",
+  description: "Task id, the value in [brackets] in the task list",
+};
+const DEADLINE = {
+  type: "string",
+  description:
+    'Local date and time in the user\'s timezone, YYYY-MM-DDTHH:mm (or YYYY-MM-DD for 09:00). The user\'s own words also work: "next monday 5pm", "in 3 hours", "end of month", "kal raat 9 ta".',
+};
+const TASK_FIELDS = {
+  title: { type: "string" },
+  category: { type: "string", description: "e.g. Work, Personal, Academic" },
+  priority: { type: "string", enum: PRIORITIES },
+  tags: { type: "array", items: { type: "string" } },
+  estimatedMinutes: { type: "integer", description: "Expected effort" },
+};
+
+const tool = (name, description, properties, required = []) => ({
+  type: "function",
+  function: {
+    name,
+    description,
+    parameters: { type: "object", properties, required },
+  },
+});
+
+const TOOL_DEFINITIONS = [
+  tool(
+    "create_task",
+    "Create a new task",
+    { ...TASK_FIELDS, deadline: DEADLINE },
+    ["title", "deadline"]
+  ),
+  tool(
+    "update_task",
+    "Change a task's title, category, priority, tags or estimate",
+    { taskId: TASK_ID, ...TASK_FIELDS },
+    ["taskId"]
+  ),
+  tool(
+    "reschedule_task",
+    "Move a task to a new deadline",
+    { taskId: TASK_ID, deadline: DEADLINE },
+    ["taskId", "deadline"]
+  ),
+  tool("complete_task", "Mark a task as done", { taskId: TASK_ID }, ["taskId"]),
+  tool(
+    "delete_task",
+    "Delete a task for good. Only when the user clearly asks to delete.",
+    { taskId: TASK_ID },
+    ["taskId"]
+  ),
+  tool("list_tasks", "List the user's tasks, optionally filtered", {
+    status: { type: "string", enum: ["open", ...TASK_STATUSES, "all"] },
+    category: { type: "string" },
+    tag: { type: "string" },
+    dueFrom: { ...DEADLINE, description: "Earliest deadline, local time" },
+    dueTo: { ...DEADLINE, description: "Latest deadline, local time" },
+    search: { type: "string", description: "Text in the title" },
+    limit: { type: "integer", description: `1-${MAX_LIST_LIMIT}` },
+  }),
+  tool(
+    "get_pressure",
+    "Get the user's current workload pressure score and heaviest tasks",
+    {}
+  ),
+];
+
+const definitionOf = (name) =>
+  TOOL_DEFINITIONS.find((t) => t.function.name === name)?.function;
+
+const typeMatches = (schema, value) => {
+  switch (schema.type) {
+    case "string":
+      return (
+        typeof value === "string" &&
+        (!schema.enum || schema.enum.includes(value))
+      );
+    case "integer":
+      return Number.isInteger(value);
+    case "array":
+      return (
+        Array.isArray(value) && value.every((v) => typeMatches(schema.items, v))
+      );
+    default:
+      return false;
+  }
+};
+
+// Raw JSON arguments -> { args } or { error }. Unknown keys are dropped;
+// models like to add extra ones.
+function parseToolArguments(name, raw) {
+  const definition = definitionOf(name);
+  if (!definition) return { error: `Unknown tool: ${name}` };
+
+  let input;
+  try {
+    input = raw ? JSON.parse(raw) : {};
+  } catch {
+    return { error: "Arguments are not valid JSON" };
+  }
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "Arguments must be an object" };
+  }
+
+  const { properties, required } = definition.parameters;
+  const args = {};
+  for (const [key, schema] of Object.entries(properties)) {
+    // Models send null for "not given"
+    if (input[key] === undefined || input[key] === null) continue;
+    if (!typeMatches(schema, input[key])) {
+      return {
+        error: `${key} must be ${schema.enum ? `one of ${schema.enum.join(", ")}` : `a ${schema.type}`}`,
+      };
+    }
+    args[key] = input[key];
+  }
+  const missing = required.filter((key) => args[key] === undefined);
+  if (missing.length) return { error: `Missing ${missing.join(", ")}` };
+
+  return { args };
+}
+
+// What the model (and the client) gets to see of a task
+const taskSummary = (task, user) => ({
+  id: task._id.toString(),
+  title: task.title,
+  category: task.category,
+  status: task.status,
+  priority: task.priority || "medium",
+  tags: task.tags || [],
+  deadline: task.deadline || null,
+  due: task.deadline
+    ? formatDateTime(task.deadline, user?.timezone, user?.locale)
+    : null,
+});
+
+const failed = (result) => ({ ok: false, error: result.error });
+
+const HANDLERS = {
+  async create_task(db, uid, args, user) {
+    const result = await createTask(db, uid, {
+      ...args,
+      category: await matchCategory(db, uid, args.category),
+    });
+    return result.error
+      ? failed(result)
+      : { ok: true, result: taskSummary(result.task, user) };
+  },
+
+  async update_task(db, uid, { taskId, ...fields }, user) {
+    if (fields.category) {
+      fields.category = await matchCategory(db, uid, fields.category);
+    }
+    const result = await updateTask(db, uid, taskId, fields);
+    return result.error
+      ? failed(result)
+      : { ok: true, result: taskSummary(result.task, user) };
+  },
+
+  async reschedule_task(db, uid, { taskId, deadline }, user) {
+    const result = await updateTask(db, uid, taskId, { deadline });
+    return result.error
+      ? failed(result)
+      : { ok: true, result: taskSummary(result.task, user) };
+  },
+
+  async complete_task(db, uid, { taskId }, user) {
+    const result = await transitionTask(db, uid, taskId, "complete");
+    if (result.error) return failed(result);
+    return {
+      ok: true,
+      result: {
+        task: taskSummary(result.task, user),
+        ...(result.nextOccurrence && {
+          nextOccurrence: taskSummary(result.nextOccurrence, user),
+        }),
+      },
+    };
+  },
+
+  async delete_task(db, uid, { taskId }, user) {
+    const result = await deleteTask(db, uid, taskId);
+    return result.error
+      ? failed(result)
+      : { ok: true, result: { deleted: taskSummary(result.task, user) } };
+  },
+
+  async list_tasks(db, uid, args, user) {
+    const query = {
+      status:
+        !args.status || args.status === "open"
+          ? OPEN_STATUSES.join(",")
+          : args.status === "all"
+            ? undefined
+            : args.status,
+      category: args.category && (await matchCategory(db, uid, args.category)),
+      tag: args.tag,
+      q: args.search,
+      limit: Math.min(Math.max(args.limit || 20, 1), MAX_LIST_LIMIT),
+    };
+    // Local times, like every other deadline the model sends
+    for (const [arg, param] of [
+      ["dueFrom", "deadlineFrom"],
+      ["dueTo", "deadlineTo"],
+    ]) {
+      if (!args[arg]) continue;
+      // A bare date as the upper bound means the whole day
+      const value =
+        arg === "dueTo" && /^\d{4}-\d{2}-\d{2}$/.test(args[arg])
+          ? `${args[arg]}T23:59:59`
+          : args[arg];
+      query[param] = resolveDeadline(value, { timeZone: user?.timezone });
+      if (!query[param]) return { ok: false, error: `Invalid ${arg}` };
+    }
+
+    const page = await findTasksPage(db, uid, query);
+    if (page.error) return failed(page);
+    return {
+      ok: true,
+      result: {
+        tasks: page.tasks.map((t) => taskSummary(t, user)),
+        hasMore: page.hasMore,
+      },
+    };
+  },
+
+  async get_pressure(db, uid, args, user) {
+    const openTasks = await db
+      .collection("tasks")
+      .find({ uid, status: { $in: OPEN_STATUSES } })
+      .toArray();
+    const pressure = calculatePressure(
+      openTasks,
+      user?.pressureSettings || DEFAULT_PRESSURE_SETTINGS,
+      new Date(),
+      user?.timezone
+    );
+    return {
+      ok: true,
+      result: {
+        score: pressure.score,
+        level: pressure.pressureLevel,
+        upcoming: pressure.taskCount,
+        overdue: pressure.overdueCount,
+        heaviest: pressure.breakdown
+          .slice(0, 5)
+          .map((b) => ({ title: b.title, score: b.score })),
+      },
+    };
+  },
+};
+
+// Validates and runs one tool call for `uid`
+async function runTool(db, uid, name, rawArguments) {
+  const parsed = parseToolArguments(name, rawArguments);
+  if (parsed.error) return { ok: false, error: parsed.error };
+
+  const user = await db.collection("users").findOne({ uid });
+  try {
+    return await HANDLERS[name](db, uid, parsed.args, user);
+  } catch (err) {
+    console.error(`❌ AI tool ${name} failed:`, err.message);
+    return { ok: false, error: "The tool failed, try again later" };
+  }
+}
+
+module.exports = { TOOL_DEFINITIONS, parseToolArguments, runTool };
@@ -0,0 +1,190 @@
+// utils/aiUsage.js
+// AI chat usage, one document per chat request:
+//   { uid, day, startedAt, finishedAt, provider, model, conversationId, status,
+//     promptTokens, completionTokens, totalTokens }
+// The same documents are the rate limiter (requests in the last minute)
+// and the daily token quota (tokens on the user's calendar day).
+const { zonedParts, zonedTimeToUtc, addDays } = require("./timezone");
+
+const COLLECTION = "ai_usage";
+const REQUESTS_PER_MINUTE = Number(process.env.AI_REQUESTS_PER_MINUTE) || 10;
+const DAILY_TOKEN_QUOTA = Number(process.env.AI_DAILY_TOKENS) || 50000;
+const MINUTE_MS = 60 * 1000;
+// Usage is kept for 90 days, then MongoDB removes it
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+const MAX_REPORT_DAYS = 90;
+const RECENT_REQUESTS = 20;
+
+const usage = (db) => db.collection(COLLECTION);
+
+async function ensureAiUsageIndexes(db) {
+  await usage(db).createIndex({ uid: 1, startedAt: -1 });
+  await usage(db).createIndex({ uid: 1, day: 1 });
+  await usage(db).createIndex(
+    { startedAt: 1 },
+    { expireAfterSeconds: RETENTION_SECONDS }
+  );
+}
+
+// Tokens used on `day` (YYYY-MM-DD on the user's clock)
+async function tokensUsedOn(db, uid, day) {
+  const [total] = await usage(db)
+    .aggregate([
+      { $match: { uid, day } },
+      { $group: { _id: null, tokens: { $sum: "$totalTokens" } } },
+    ])
+    .toArray();
+  return total?.tokens || 0;
+}
+
+const secondsUntil = (date, now) =>
+  Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+// Opens a usage record for a chat request if the user is within their
+// limits. Returns { usageId } or { status: 429, error, retryAfter } with
+// retryAfter in seconds.
+async function startAiRequest(
+  db,
+  uid,
+  { timeZone, provider, model, conversationId = null, now = new Date() } = {}
+) {
+  const day = zonedParts(now, timeZone).dateKey;
+
+  const used = await tokensUsedOn(db, uid, day);
+  if (used >= DAILY_TOKEN_QUOTA) {
+    const midnight = zonedTimeToUtc(addDays(day, 1), 0, timeZone);
+    return {
+      status: 429,
+      error: "Daily AI token quota used up",
+      retryAfter: secondsUntil(midnight, now),
+    };
+  }
+
+  // Recorded first and counted after, so parallel requests can't all
+  // slip in under the limit
+  const { insertedId } = await usage(db).insertOne({
+    uid,
+    day,
+    startedAt: now,
+    finishedAt: null,
+    provider,
+    model,
+    conversationId,
+    status: "running",
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+  });
+
+  const windowStart = new Date(now.getTime() - MINUTE_MS);
+  const recent = await usage(db)
+    .find({ uid, startedAt: { $gt: windowStart } })
+    .sort({ startedAt: 1 })
+    .limit(REQUESTS_PER_MINUTE + 1)
+    .toArray();
+  if (recent.length > REQUESTS_PER_MINUTE) {
+    await usage(db).deleteOne({ _id: insertedId });
+    return {
+      status: 429,
+      error: "Too many AI requests, slow down",
+      retryAfter: secondsUntil(
+        new Date(recent[0].startedAt.getTime() + MINUTE_MS),
+        now
+      ),
+    };
+  }
+
+  return { usageId: insertedId };
+}
+
+// Token counts as the OpenAI API reports them: { prompt_tokens,
+// completion_tokens, total_tokens }. Missing counts are taken as 0.
+const tokenCounts = (reported) => {
+  const promptTokens = reported?.prompt_tokens || 0;
+  const completionTokens = reported?.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: reported?.total_tokens || promptTokens + completionTokens,
+  };
+};
+
+// Adds one model call's tokens to the request; `fields` are set as well
+// (status, finishedAt, conversationId, provider, model)
+async function recordAiUsage(db, usageId, reported, fields = {}) {
+  await usage(db).updateOne(
+    { _id: usageId },
+    {
+      $inc: tokenCounts(reported),
+      ...(Object.keys(fields).length && { $set: fields }),
+    }
+  );
+}
+
+// ?days= for the usage report. Returns { days } or { error }.
+function parseUsageDays(value) {
+  if (value === undefined) return { days: 7 };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_REPORT_DAYS) {
+    return {
+      error: `days must be a whole number from 1 to ${MAX_REPORT_DAYS}`,
+    };
+  }
+  return { days };
+}
+
+// The user's usage: today's quota, totals per day for the last `days`
+// days (newest first, days without requests left out) and the latest
+// requests
+async function getAiUsage(
+  db,
+  uid,
+  { days = 7, timeZone, now = new Date() } = {}
+) {
+  const today = zonedParts(now, timeZone).dateKey;
+  const from = addDays(today, 1 - days);
+
+  const [daily, recent] = await Promise.all([
+    usage(db)
+      .aggregate([
+        { $match: { uid, day: { $gte: from } } },
+        {
+          $group: {
+            _id: "$day",
+            requests: { $sum: 1 },
+            promptTokens: { $sum: "$promptTokens" },
+            completionTokens: { $sum: "$completionTokens" },
+            totalTokens: { $sum: "$totalTokens" },
+          },
+        },
+        { $sort: { _id: -1 } },
+      ])
+      .toArray(),
+    usage(db)
+      .find({ uid }, { projection: { uid: 0, day: 0 } })
+      .sort({ startedAt: -1 })
+      .limit(RECENT_REQUESTS)
+      .toArray(),
+  ]);
+
+  const used = daily.find((d) => d._id === today)?.totalTokens || 0;
+  return {
+    day: today,
+    quota: {
+      dailyTokens: DAILY_TOKEN_QUOTA,
+      used,
+      remaining: Math.max(0, DAILY_TOKEN_QUOTA - used),
+    },
+    rateLimit: { requestsPerMinute: REQUESTS_PER_MINUTE },
+    daily: daily.map(({ _id, ...totals }) => ({ day: _id, ...totals })),
+    recent,
+  };
+}
+
+module.exports = {
+  ensureAiUsageIndexes,
+  startAiRequest,
+  recordAiUsage,
+  parseUsageDays,
+  getAiUsage,
+};
@@ -0,0 +1,257 @@
+// utils/bulkTasks.js
+// One operation applied to many tasks of one user:
+//   { ids: [...], operation: "complete" | "delete" | "move" | "shift" | "tag",
+//     category?, days?, tag? }
+// All writes of a batch run in one transaction. Ids that are invalid, not
+// the user's or not in a state the operation applies to are reported per
+// item and left alone; the rest are changed together or not at all.
+const { ObjectId } = require("mongodb");
+const { isOpen } = require("./taskStatus");
+const { parseTags } = require("./taskAttributes");
+const { materializeNextOccurrence } = require("./recurrence");
+const { zonedParts, zonedTimeToUtc, addDays } = require("./timezone");
+
+const BULK_OPERATIONS = ["complete", "delete", "move", "shift", "tag"];
+const MAX_BULK_IDS = 200;
+const MAX_SHIFT_DAYS = 365;
+
+// Validates the request body. Returns { ids, operation, params } or
+// { error }.
+function parseBulkRequest(body) {
+  const { ids, operation } = body || {};
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return { error: "ids must be a non-empty array" };
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    return { error: `Too many ids (max ${MAX_BULK_IDS})` };
+  }
+  if (!BULK_OPERATIONS.includes(operation)) {
+    return { error: `operation must be one of ${BULK_OPERATIONS.join(", ")}` };
+  }
+
+  const params = {};
+  if (operation === "move") {
+    if (typeof body.category !== "string" || !body.category.trim()) {
+      return { error: "category is required" };
+    }
+    params.category = body.category.trim();
+  }
+  if (operation === "shift") {
+    const days = Number(body.days);
+    if (
+      !Number.isInteger(days) ||
+      days === 0 ||
+      Math.abs(days) > MAX_SHIFT_DAYS
+    ) {
+      return {
+        error: `days must be a whole number from -${MAX_SHIFT_DAYS} to ${MAX_SHIFT_DAYS}, not 0`,
+      };
+    }
+    params.days = days;
+  }
+  if (operation === "tag") {
+    const tags = typeof body.tag === "string" ? parseTags([body.tag]) : null;
+    if (!tags || tags.length !== 1) return { error: "Invalid tag" };
+    params.tag = tags[0];
+  }
+
+  // Duplicates would only report the same task twice
+  return { ids: [...new Set(ids.map(String))], operation, params };
+}
+
+// Same deadline, `days` later on the user's clock
+const shiftDeadline = (deadline, days, timeZone) => {
+  const { dateKey, hour, minute } = zonedParts(new Date(deadline), timeZone);
+  return zonedTimeToUtc(
+    addDays(dateKey, days),
+    hour * 60 + minute,
+    timeZone
+  ).toISOString();
+};
+
+// The update for one task, or { status, error } when the operation
+// doesn't apply to it. null means delete.
+const updateFor = (task, operation, params, context) => {
+  const now = context.now;
+
+  switch (operation) {
+    case "complete":
+      if (!isOpen(task)) {
+        return {
+          status: 409,
+          error: `Cannot complete a task that is ${task.status}`,
+        };
+      }
+      return {
+        update: {
+          $set: { status: "done", completedAt: now, updatedAt: now },
+        },
+      };
+
+    case "delete":
+      return { update: null };
+
+    case "move":
+      return {
+        update: { $set: { category: params.category, updatedAt: now } },
+      };
+
+    case "shift": {
+      if (!isOpen(task)) {
+        return {
+          status: 409,
+          error: `Cannot shift a task that is ${task.status}`,
+        };
+      }
+      if (!task.deadline || isNaN(new Date(task.deadline))) {
+        return { status: 409, error: "Task has no deadline" };
+      }
+      const deadline = shiftDeadline(
+        task.deadline,
+        params.days,
+        context.timeZone
+      );
+      return {
+        update: {
+          $set: { deadline, updatedAt: now },
+          // A deadline moved into the future is no longer overdue
+          ...(new Date(deadline) > now && { $unset: { overdueAt: "" } }),
+        },
+      };
+    }
+
+    case "tag": {
+      const tags = parseTags([...(task.tags || []), params.tag]);
+      if (!tags) return { status: 409, error: "Too many tags" };
+      return { update: { $set: { tags, updatedAt: now } } };
+    }
+  }
+};
+
+// Runs the operation for `uid`. Returns { results, changed, removed,
+// created } or { status, error } for problems with the whole request.
+// `results` is one { id, ok, status?, error? } per id; changed / removed /
+// created are the task documents affected, for follow-up work such as
+// calendar sync and file cleanup.
+async function runBulkOperation(db, uid, { ids, operation, params }) {
+  const tasks = db.collection("tasks");
+  const now = new Date();
+  const user = await db.collection("users").findOne({ uid });
+  const context = { now, timeZone: user?.timezone };
+
+  if (operation === "move") {
+    // Only into a category the user has (in any case)
+    const categories = await db
+      .collection("categories")
+      .find({ $or: [{ uid }, { uid: { $exists: false } }] })
+      .toArray();
+    const match = categories.find(
+      (c) => c.name.toLowerCase() === params.category.toLowerCase()
+    );
+    if (!match) return { status: 400, error: "Unknown category" };
+    params = { ...params, category: match.name };
+  }
+
+  const results = new Map(
+    ids.map((id) => [
+      id,
+      ObjectId.isValid(id)
+        ? { id, ok: false, status: 404, error: "Task not found" }
+        : { id, ok: false, status: 400, error: "Invalid ID" },
+    ])
+  );
+  const objectIds = ids
+    .filter((id) => ObjectId.isValid(id))
+    .map((id) => new ObjectId(id));
+
+  let changed = [];
+  let removed = [];
+  let created = [];
+
+  await db.client.withSession((session) =>
+    session.withTransaction(async () => {
+      // Reset in case the driver retries the transaction
+      changed = [];
+      removed = [];
+      created = [];
+
+      // Filtering on uid is the ownership check: someone else's task
+      // simply isn't found
+      const owned = await tasks
+        .find({ _id: { $in: objectIds }, uid }, { session })
+        .toArray();
+
+      const ops = [];
+      const toDelete = [];
+      const toComplete = [];
+      for (const task of owned) {
+        const id = task._id.toString();
+        const result = updateFor(task, operation, params, context);
+        if (result.error) {
+          results.set(id, {
+            id,
+            ok: false,
+            status: result.status,
+            error: result.error,
+          });
+          continue;
+        }
+
+        results.set(id, { id, ok: true });
+        if (result.update === null) {
+          toDelete.push(task);
+        } else {
+          ops.push({
+            updateOne: {
+              filter: { _id: task._id, uid },
+              update: result.update,
+            },
+          });
+          if (operation === "complete") toComplete.push(task);
+        }
+      }
+
+      // Finishing or deleting an open occurrence hands over to the next
+      // one in its series, as the single-task endpoints do. Before the
+      // writes, while the occurrence still exists to be claimed.
+      const handOver = [
+        ...toComplete,
+        ...toDelete.filter((t) => t.recurrence && isOpen(t)),
+      ];
+      for (const task of handOver) {
+        const next = await materializeNextOccurrence(db, task, now, {
+          session,
+        });
+        if (next) created.push(next);
+      }
+
+      if (ops.length) await tasks.bulkWrite(ops, { session, ordered: true });
+      if (toDelete.length) {
+        await tasks.deleteMany(
+          { _id: { $in: toDelete.map((t) => t._id) }, uid },
+          { session }
+        );
+      }
+
+      removed = toDelete;
+      changed = ops.length
+        ? await tasks
+            .find(
+              { _id: { $in: ops.map((op) => op.updateOne.filter._id) } },
+              { session }
+            )
+            .toArray()
+        : [];
+    })
+  );
+
+  return { results: [...results.values()], changed, removed, created };
+}
+
+module.exports = {
+  BULK_OPERATIONS,
+  MAX_BULK_IDS,
+  parseBulkRequest,
+  runBulkOperation,
+};
@@ -0,0 +1,51 @@
+// utils/channels/push.js
+// Web push through Firebase Cloud Messaging. Targets are the FCM
+// registration tokens the user's browsers registered; tokens FCM no
+// longer recognises are dropped.
+const admin = require("../firebaseAdmin");
+
+const DEAD_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+  "messaging/invalid-argument",
+];
+
+module.exports = {
+  name: "push",
+
+  isConfigured: () => true,
+
+  async targets(db, user, notification, settings) {
+    return settings.tokens || [];
+  },
+
+  async send(token, notification) {
+    try {
+      await admin.messaging().send({
+        token,
+        notification: { title: notification.title, body: notification.text },
+        data: {
+          type: notification.type,
+          ...(notification.taskId && { taskId: String(notification.taskId) }),
+        },
+        ...(process.env.APP_URL && {
+          webpush: { fcmOptions: { link: process.env.APP_URL } },
+        }),
+      });
+    } catch (err) {
+      if (DEAD_TOKEN_CODES.includes(err.code)) err.permanent = true;
+      throw err;
+    }
+  },
+
+  // Called after a permanent failure
+  async prune(db, user, token) {
+    await db
+      .collection("users")
+      .updateOne(
+        { uid: user.uid },
+        { $pull: { "notificationChannels.push.tokens": token } }
+      );
+    console.log(`🧹 Removed dead push token for user ${user.uid}`);
+  },
+};
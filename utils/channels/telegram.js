@@ -0,0 +1,35 @@
+// utils/channels/telegram.js
+// Telegram Bot API. Targets are the user's linked chats that accept the
+// notification type; task reminders carry the Done / Snooze buttons.
+const axios = require("axios");
+const { findNotifiableChats } = require("../telegramLinks");
+const { taskKeyboard } = require("../telegramActions");
+
+// Overridable so a local sink can stand in for api.telegram.org
+const apiBase = () =>
+  process.env.TELEGRAM_API_BASE || "https://api.telegram.org";
+
+module.exports = {
+  name: "telegram",
+
+  isConfigured: () => !!process.env.TELEGRAM_BOT_TOKEN,
+
+  async targets(db, user, notification) {
+    const links = await findNotifiableChats(db, user.uid, notification.type);
+    return links.map((link) => link.chatId);
+  },
+
+  async send(chatId, notification) {
+    const withButtons =
+      notification.type === "reminders" && notification.taskId;
+    await axios.post(
+      `${apiBase()}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+      {
+        chat_id: chatId,
+        text: notification.text,
+        ...(withButtons && { reply_markup: taskKeyboard(notification.taskId) }),
+      },
+      { timeout: 10000 }
+    );
+  },
+};
@@ -0,0 +1,54 @@
+// utils/channels/webhook.js
+// Outgoing webhook: a JSON POST to the user's URL. When the user has a
+// secret, the body is signed with it:
+//   X-Overlax-Signature: sha256=<hex HMAC of the raw body>
+// Only public addresses are called, see utils/publicUrl.js.
+const axios = require("axios");
+const crypto = require("crypto");
+const { checkPublicUrl, publicLookup } = require("../publicUrl");
+
+module.exports = {
+  name: "webhook",
+
+  isConfigured: () => true,
+
+  async targets(db, user, notification, settings) {
+    return settings.url ? [settings.url] : [];
+  },
+
+  async send(url, notification, settings) {
+    // URLs saved before the check existed, or hosts that moved since
+    const checked = await checkPublicUrl(url);
+    if (checked.error) {
+      const err = new Error(`Webhook URL refused: ${checked.error}`);
+      err.permanent = true;
+      throw err;
+    }
+
+    const body = JSON.stringify({
+      event: `notification.${notification.type}`,
+      uid: notification.uid,
+      title: notification.title,
+      text: notification.text,
+      taskId: notification.taskId ? String(notification.taskId) : null,
+      sentAt: new Date().toISOString(),
+    });
+
+    const headers = { "Content-Type": "application/json" };
+    if (settings.secret) {
+      const signature = crypto
+        .createHmac("sha256", settings.secret)
+        .update(body)
+        .digest("hex");
+      headers["X-Overlax-Signature"] = `sha256=${signature}`;
+    }
+
+    // No redirects: they could lead to an address the check never saw
+    await axios.post(url, body, {
+      headers,
+      timeout: 10000,
+      maxRedirects: 0,
+      lookup: publicLookup,
+    });
+  },
+};
@@ -0,0 +1,214 @@
+// utils/conversations.js
+// AI chat history, one document per conversation:
+//   { uid, title, messages: [{ role, content, at }], summary, summarizedAt,
+//     createdAt, updatedAt }
+// Only the newest messages are sent to the model. Older ones are folded
+// into `summary`, which covers every message up to `summarizedAt`.
+const { ObjectId } = require("mongodb");
+const { OPEN_STATUSES } = require("./taskStatus");
+const { formatDateTime } = require("./timezone");
+
+const COLLECTION = "conversations";
+// Rough budget for the history part of the prompt (≈ 4 characters/token)
+const HISTORY_TOKEN_BUDGET = Number(process.env.AI_HISTORY_TOKENS) || 3000;
+// Unsummarized messages beyond the window before a summary is made
+const SUMMARIZE_AFTER = 10;
+// Hard cap per document; older messages only live on in the summary
+const MAX_STORED_MESSAGES = 500;
+const MAX_CONTEXT_TASKS = 30;
+const TITLE_LENGTH = 60;
+
+const conversations = (db) => db.collection(COLLECTION);
+
+const estimateTokens = (text) => Math.ceil(String(text).length / 4);
+
+async function ensureConversationIndexes(db) {
+  await conversations(db).createIndex({ uid: 1, updatedAt: -1 });
+}
+
+// Returns the conversation, or null when it doesn't exist or isn't uid's
+async function findConversation(db, uid, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return conversations(db).findOne({ _id: new ObjectId(id), uid });
+}
+
+async function createConversation(db, uid, firstMessage) {
+  const title = String(firstMessage).trim().replace(/\s+/g, " ");
+  const conversation = {
+    _id: new ObjectId(),
+    uid,
+    title:
+      title.length > TITLE_LENGTH
+        ? `${title.slice(0, TITLE_LENGTH - 1)}…`
+        : title || "New conversation",
+    messages: [],
+    summary: null,
+    summarizedAt: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+  await conversations(db).insertOne(conversation);
+  return conversation;
+}
+
+// Newest first, without the messages
+const listConversations = (db, uid, limit = 50) =>
+  conversations(db)
+    .aggregate([
+      { $match: { uid } },
+      { $sort: { updatedAt: -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          title: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          messageCount: { $size: "$messages" },
+        },
+      },
+    ])
+    .toArray();
+
+async function deleteConversation(db, uid, id) {
+  if (!ObjectId.isValid(id)) return false;
+  const result = await conversations(db).deleteOne({
+    _id: new ObjectId(id),
+    uid,
+  });
+  return result.deletedCount > 0;
+}
+
+// messages: [{ role, content }]. Each gets its own timestamp, so
+// `summarizedAt` never splits a batch.
+async function appendMessages(db, id, messages) {
+  const now = Date.now();
+  await conversations(db).updateOne(
+    { _id: id },
+    {
+      $push: {
+        messages: {
+          $each: messages.map((m, i) => ({ ...m, at: new Date(now + i) })),
+          $slice: -MAX_STORED_MESSAGES,
+        },
+      },
+      $set: { updatedAt: new Date(now) },
+    }
+  );
+}
+
+const unsummarized = (conversation) =>
+  conversation.messages.filter(
+    (m) =>
+      !conversation.summarizedAt ||
+      new Date(m.at) > new Date(conversation.summarizedAt)
+  );
+
+// The newest messages that fit the budget, oldest first
+const historyWindow = (messages, budget = HISTORY_TOKEN_BUDGET) => {
+  const window = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    used += estimateTokens(messages[i].content);
+    if (used > budget && window.length) break;
+    window.unshift(messages[i]);
+  }
+  return window;
+};
+
+// What the model sees of the conversation so far: the summary of older
+// turns, then the newest messages
+function historyMessages(conversation) {
+  if (!conversation) return [];
+  const messages = historyWindow(unsummarized(conversation)).map(
+    ({ role, content }) => ({ role, content })
+  );
+  return conversation.summary
+    ? [
+        {
+          role: "system",
+          content: `Summary of the earlier conversation:\n${conversation.summary}`,
+        },
+        ...messages,
+      ]
+    : messages;
+}
+
+// System message with the user's open tasks, so the model can resolve
+// "it" / "that task" and answer about deadlines
+async function taskContext(db, uid, now = new Date()) {
+  const user = await db.collection("users").findOne({ uid });
+  const openTasks = await db
+    .collection("tasks")
+    .find({ uid, status: { $in: OPEN_STATUSES } })
+    .sort({ deadline: 1 })
+    .limit(MAX_CONTEXT_TASKS)
+    .toArray();
+
+  const when = (date) => formatDateTime(date, user?.timezone, user?.locale);
+  const lines = openTasks.map(
+    (t) =>
+      `- [${t._id}] ${t.title} (${t.category}, ${t.priority || "medium"}) — ${
+        t.deadline ? `due ${when(t.deadline)}` : "no deadline"
+      }${t.deadline && new Date(t.deadline) < now ? " — OVERDUE" : ""}`
+  );
+
+  return {
+    role: "system",
+    content: `Current time: ${when(now)}${
+      user?.timezone ? ` (${user.timezone})` : ""
+    }\nThe user's open tasks:\n${lines.length ? lines.join("\n") : "(none)"}`,
+  };
+}
+
+// Folds messages that dropped out of the window into the summary once
+// enough have piled up. `complete(messages)` returns the model's text.
+async function summarizeIfNeeded(db, id, complete) {
+  const conversation = await conversations(db).findOne({ _id: id });
+  if (!conversation) return false;
+
+  const pending = unsummarized(conversation);
+  const kept = historyWindow(pending);
+  const dropped = pending.slice(0, pending.length - kept.length);
+  if (dropped.length < SUMMARIZE_AFTER) return false;
+
+  const transcript = dropped
+    .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`)
+    .join("\n");
+  const summary = await complete([
+    {
+      role: "system",
+      content:
+        "Summarize this conversation between a user and their task assistant in a few short bullet points. Keep names of tasks, dates, decisions and open questions; drop small talk.",
+    },
+    {
+      role: "user",
+      content: conversation.summary
+        ? `Earlier summary:\n${conversation.summary}\n\nNew messages:\n${transcript}`
+        : transcript,
+    },
+  ]);
+  if (!summary) return false;
+
+  await conversations(db).updateOne(
+    { _id: id },
+    {
+      $set: {
+        summary: summary.trim(),
+        summarizedAt: dropped[dropped.length - 1].at,
+      },
+    }
+  );
+  return true;
+}
+
+module.exports = {
+  ensureConversationIndexes,
+  findConversation,
+  createConversation,
+  listConversations,
+  deleteConversation,
+  appendMessages,
+  historyMessages,
+  taskContext,
+  summarizeIfNeeded,
+};
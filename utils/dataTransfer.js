@@ -0,0 +1,497 @@
+// utils/dataTransfer.js
+// Backup and migration of a user's data. The JSON export holds tasks,
+// the user's own categories and their settings:
+//   { version, exportedAt, tasks: [...], categories: [...], settings: {...} }
+// The CSV export is one row per task. Both can be imported again; rows are
+// validated one by one and reported as [{ section, row, error }], and a
+// dry run reports the same without writing anything.
+const { ObjectId } = require("mongodb");
+const { TASK_STATUSES, isOpen } = require("./taskStatus");
+const { buildTask } = require("./taskService");
+const { parseReminderOffsets } = require("./reminderOffsets");
+const { parsePressureSettings } = require("./pressure");
+const { parseDigestSettings } = require("./digest");
+const { parseQuietHours } = require("./quietHours");
+const { isValidTimeZone, isValidLocale } = require("./timezone");
+
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_ROWS = 2000;
+const DEFAULT_CATEGORY = "Personal";
+
+// Columns of the CSV export, in order. Lists are comma separated inside
+// their cell; recurrence is the JSON rule.
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "category",
+  "deadline",
+  "status",
+  "priority",
+  "tags",
+  "estimatedMinutes",
+  "reminderOffsets",
+  "recurrence",
+  "autoComplete",
+  "createdAt",
+  "completedAt",
+];
+
+// Settings that travel with a backup. Notification channels stay behind -
+// they hold device tokens and webhook secrets.
+const SETTING_KEYS = [
+  "timezone",
+  "locale",
+  "pressureSettings",
+  "reminderDefaults",
+  "overdueNudges",
+  "digest",
+  "quietHours",
+];
+
+// ============================================
+// EXPORT
+// ============================================
+
+const exportTask = (task) => ({
+  id: task._id.toString(),
+  title: task.title,
+  category: task.category,
+  deadline: task.deadline || null,
+  status: task.status,
+  priority: task.priority,
+  tags: task.tags || [],
+  estimatedMinutes: task.estimatedMinutes || null,
+  ...(task.reminderOffsets && { reminderOffsets: task.reminderOffsets }),
+  ...(task.recurrence && { recurrence: task.recurrence }),
+  ...(task.autoComplete !== undefined && { autoComplete: task.autoComplete }),
+  ...(task.subtasks?.length && {
+    subtasks: task.subtasks.map((s) => ({
+      title: s.title,
+      done: !!s.done,
+      deadline: s.deadline || null,
+    })),
+  }),
+  createdAt: task.createdAt || null,
+  completedAt: task.completedAt || null,
+  archivedAt: task.archivedAt || null,
+});
+
+async function buildExport(db, uid, now = new Date()) {
+  const [userTasks, userCategories, user] = await Promise.all([
+    db.collection("tasks").find({ uid }).sort({ createdAt: 1 }).toArray(),
+    db.collection("categories").find({ uid }).sort({ name: 1 }).toArray(),
+    db.collection("users").findOne({ uid }),
+  ]);
+
+  const settings = {};
+  for (const key of SETTING_KEYS) {
+    if (user?.[key] !== undefined) settings[key] = user[key];
+  }
+
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    tasks: userTasks.map(exportTask),
+    categories: userCategories.map((c) => ({
+      name: c.name,
+      icon: c.icon || "folder",
+    })),
+    settings,
+  };
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let str =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+  if (FORMULA_PREFIX.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+function tasksToCsv(exported) {
+  const rows = exported.tasks.map((task) =>
+    CSV_COLUMNS.map((column) => {
+      const value = task[column];
+      return csvCell(Array.isArray(value) ? value.join(", ") : value);
+    }).join(",")
+  );
+  // The BOM makes Excel read the file as UTF-8
+  return "\uFEFF" + [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+// RFC 4180 records -> array of string arrays
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((r) => r.some((cell) => cell.trim()));
+};
+
+// Undoes the formula guard of csvCell()
+const csvValue = (cell) => (/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+
+// CSV text -> { data: { tasks } } or { error }. Headers are matched
+// case-insensitively; unknown columns are ignored.
+function parseCsv(text) {
+  const records = parseCsvRecords(String(text).replace(/^\uFEFF/, ""));
+  if (records.length === 0) return { error: "The file is empty" };
+
+  const header = records[0].map((h) => h.trim().toLowerCase());
+  const columns = header.map(
+    (h) => CSV_COLUMNS.find((c) => c.toLowerCase() === h) || null
+  );
+  if (!columns.includes("title")) {
+    return { error: "CSV needs a header row with a title column" };
+  }
+
+  const tasks = records.slice(1).map((record) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      const value = csvValue(record[i] ?? "").trim();
+      // Empty cells count as not given
+      if (column && value !== "") row[column] = value;
+    });
+    return row;
+  });
+
+  return { data: { tasks } };
+}
+
+const optionalDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date;
+};
+
+const parseSubtasks = (input) => {
+  if (input === undefined) return [];
+  if (!Array.isArray(input)) return null;
+
+  const subtasks = [];
+  for (const item of input) {
+    const title = typeof item?.title === "string" ? item.title.trim() : "";
+    const deadline = optionalDate(item.deadline);
+    if (!title || deadline === undefined) return null;
+    subtasks.push({
+      _id: new ObjectId(),
+      title,
+      done: item.done === true,
+      deadline: deadline ? deadline.toISOString() : null,
+      createdAt: new Date(),
+      ...(item.done === true && { completedAt: new Date() }),
+    });
+  }
+  return subtasks;
+};
+
+// Maps imported category names onto the user's categories: through the
+// optional `categoryMap` ({ "Uni": "Academic" }) first, then by name in
+// any case. Names that match nothing become new categories.
+async function categoryResolver(db, uid, categoryMap = {}) {
+  const existing = await db
+    .collection("categories")
+    .find({ $or: [{ uid }, { uid: { $exists: false } }] })
+    .toArray();
+
+  const byName = new Map(existing.map((c) => [c.name.toLowerCase(), c.name]));
+  const mapping = new Map(
+    Object.entries(categoryMap).map(([from, to]) => [
+      from.trim().toLowerCase(),
+      to.trim(),
+    ])
+  );
+  const created = [];
+
+  return {
+    created,
+    resolve(name) {
+      const given = String(name ?? "").trim() || DEFAULT_CATEGORY;
+      const target = mapping.get(given.toLowerCase()) || given;
+      return byName.get(target.toLowerCase()) || target;
+    },
+    // Called once a row using `name` is known to be valid
+    use(name) {
+      if (byName.has(name.toLowerCase())) return;
+      byName.set(name.toLowerCase(), name);
+      created.push(name);
+    },
+  };
+}
+
+// One exported / CSV task row -> { task } (not saved yet) or { error }
+async function taskFromRow(db, uid, row, categories) {
+  if (!row || typeof row !== "object") return { error: "Invalid row" };
+
+  const status = row.status === undefined ? "todo" : String(row.status);
+  if (!TASK_STATUSES.includes(status)) {
+    return { error: `Invalid status "${row.status}"` };
+  }
+
+  const dates = {};
+  for (const key of ["createdAt", "completedAt", "archivedAt"]) {
+    dates[key] = optionalDate(row[key]);
+    if (dates[key] === undefined) return { error: `Invalid ${key}` };
+  }
+
+  const subtasks = parseSubtasks(row.subtasks);
+  if (!subtasks) return { error: "Invalid subtasks" };
+
+  const category = categories.resolve(row.category);
+  const open = isOpen({ status });
+  const result = await buildTask(db, uid, {
+    title: typeof row.title === "string" ? row.title.trim() : row.title,
+    category,
+    deadline: row.deadline,
+    priority: row.priority,
+    tags: row.tags,
+    estimatedMinutes: row.estimatedMinutes,
+    reminderOffsets: row.reminderOffsets,
+    // A finished occurrence is kept as history, not as a new series
+    recurrence: open ? row.recurrence : undefined,
+    autoComplete: row.autoComplete,
+  });
+  if (result.error) return { error: result.error };
+
+  const task = {
+    ...result.task,
+    status,
+    ...(subtasks.length && { subtasks }),
+    createdAt: dates.createdAt || result.task.createdAt,
+    importedAt: new Date(),
+  };
+  if (status === "done") task.completedAt = dates.completedAt || new Date();
+  if (status === "archived") task.archivedAt = dates.archivedAt || new Date();
+
+  return { task, category };
+}
+
+// Validates every settings key present. Returns { $set, errors }.
+const settingsFromImport = (input, user) => {
+  const $set = {};
+  const errors = [];
+  const fail = (field, error) =>
+    errors.push({ section: "settings", row: field, error });
+
+  if (input === undefined) return { $set, errors };
+  if (!input || typeof input !== "object") {
+    fail(null, "Invalid settings");
+    return { $set, errors };
+  }
+
+  const { timezone, locale, overdueNudges } = input;
+  if (timezone !== undefined) {
+    if (isValidTimeZone(timezone)) $set.timezone = timezone;
+    else fail("timezone", "Invalid timezone");
+  }
+  if (locale !== undefined) {
+    if (isValidLocale(locale)) $set.locale = locale;
+    else fail("locale", "Invalid locale");
+  }
+  if (overdueNudges !== undefined) {
+    if (typeof overdueNudges === "boolean") $set.overdueNudges = overdueNudges;
+    else fail("overdueNudges", "overdueNudges must be boolean");
+  }
+  if (input.reminderDefaults !== undefined) {
+    const offsets = parseReminderOffsets(input.reminderDefaults);
+    if (offsets) $set.reminderDefaults = offsets;
+    else fail("reminderDefaults", "Invalid reminder offsets");
+  }
+
+  const parsers = {
+    pressureSettings: parsePressureSettings,
+    digest: (value) => parseDigestSettings(value, user),
+    quietHours: (value) => parseQuietHours(value, user),
+  };
+  for (const [key, parse] of Object.entries(parsers)) {
+    if (input[key] === undefined) continue;
+    const parsed = parse(input[key]);
+    if (parsed.error) fail(key, parsed.error);
+    else $set[key] = parsed.settings;
+  }
+
+  return { $set, errors };
+};
+
+// data: { tasks?, categories?, settings? } - an export, or parseCsv()
+// output. Valid rows are imported and invalid ones reported; with
+// `dryRun` nothing is written. Each new task keeps its row's `id` as
+// `importedFrom`; rows whose id the user already has, as a task or as an
+// earlier import, are skipped, so importing a backup twice - into this
+// account or another - doesn't duplicate it.
+// Returns a report, or { status, error } when the data can't be used.
+async function importData(db, uid, data, { dryRun = false, categoryMap } = {}) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { status: 400, error: "Invalid import data" };
+  }
+  const rows = data.tasks ?? [];
+  const categoryRows = data.categories ?? [];
+  if (!Array.isArray(rows) || !Array.isArray(categoryRows)) {
+    return { status: 400, error: "tasks and categories must be arrays" };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return {
+      status: 400,
+      error: `Too many tasks (max ${MAX_IMPORT_ROWS} per import)`,
+    };
+  }
+  if (
+    categoryMap !== undefined &&
+    (!categoryMap ||
+      typeof categoryMap !== "object" ||
+      Object.values(categoryMap).some((v) => typeof v !== "string" || !v))
+  ) {
+    return { status: 400, error: "categoryMap must map names to names" };
+  }
+
+  const user = await db.collection("users").findOne({ uid });
+  const categories = await categoryResolver(db, uid, categoryMap);
+  const errors = [];
+
+  categoryRows.forEach((row, i) => {
+    const name = typeof row?.name === "string" ? row.name.trim() : "";
+    if (!name) {
+      errors.push({ section: "categories", row: i + 1, error: "Missing name" });
+      return;
+    }
+    categories.use(categories.resolve(name));
+  });
+
+  // Ids this user already has, to skip tasks of an earlier import
+  const ids = rows
+    .map((row) => row?.id)
+    .filter((id) => typeof id === "string" && ObjectId.isValid(id));
+  const existing = await db
+    .collection("tasks")
+    .find(
+      {
+        uid,
+        $or: [
+          { _id: { $in: ids.map((id) => new ObjectId(id)) } },
+          { importedFrom: { $in: ids } },
+        ],
+      },
+      { projection: { _id: 1, importedFrom: 1 } }
+    )
+    .toArray();
+  const known = new Set(
+    existing.flatMap((t) => [t._id.toString(), t.importedFrom].filter(Boolean))
+  );
+
+  const newTasks = [];
+  let skipped = 0;
+  for (let i = 0; i < rows.length; i++) {
+    const id = rows[i]?.id;
+    if (id && known.has(String(id))) {
+      skipped++;
+      continue;
+    }
+
+    const result = await taskFromRow(db, uid, rows[i], categories);
+    if (result.error) {
+      errors.push({ section: "tasks", row: i + 1, error: result.error });
+      continue;
+    }
+    categories.use(result.category);
+    if (ids.includes(id)) result.task.importedFrom = id;
+    newTasks.push(result.task);
+    if (id) known.add(String(id));
+  }
+
+  const settings = settingsFromImport(data.settings, user);
+  errors.push(...settings.errors);
+
+  if (!dryRun) {
+    if (categories.created.length) {
+      await db.collection("categories").insertMany(
+        categories.created.map((name) => ({
+          uid,
+          name,
+          icon:
+            categoryRows.find(
+              (c) => c?.name?.trim().toLowerCase() === name.toLowerCase()
+            )?.icon || "folder",
+          createdAt: new Date(),
+        }))
+      );
+    }
+    if (newTasks.length) {
+      await db.collection("tasks").insertMany(newTasks, { ordered: false });
+    }
+    if (Object.keys(settings.$set).length) {
+      await db
+        .collection("users")
+        .updateOne(
+          { uid },
+          { $set: { ...settings.$set, updatedAt: new Date() } },
+          { upsert: true }
+        );
+    }
+    console.log(
+      `📥 Import for ${uid}: ${newTasks.length} tasks, ${categories.created.length} categories, ${errors.length} errors`
+    );
+  }
+
+  return {
+    dryRun,
+    tasks: {
+      imported: newTasks.length,
+      skipped,
+      failed: rows.length - newTasks.length - skipped,
+    },
+    categoriesCreated: categories.created,
+    settingsUpdated: Object.keys(settings.$set),
+    errors,
+  };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  buildExport,
+  tasksToCsv,
+  parseCsv,
+  importData,
+};
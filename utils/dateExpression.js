@@ -0,0 +1,705 @@
+// utils/dateExpression.js
+// Natural-language deadlines, read on the user's clock. Deterministic -
+// no model involved. Understands English and the Bangla / Banglish our
+// users mix in, e.g.
+//   "tomorrow 5pm", "next monday 17:30", "in 3 hours", "2 din por"
+//   "28 Nov", "nov 28 2026", "28/11", "end of month", "eod"
+//   "kal raat 9 ta", "porshu shokal", "agami shukrobar", "আজ বিকেল ৫টায়"
+// Without a time the deadline is 09:00 (or the part of day that was
+// named); a bare time that already passed today means tomorrow.
+// Hours without am/pm are read the way people say them: 1-6 in the
+// afternoon, 7-11 in the morning. Weeks start on Monday: "this friday" is
+// the one in this week, "next friday" the one in the next.
+const {
+  zonedParts,
+  zonedTimeToUtc,
+  addDays,
+  parseDeadline,
+} = require("./timezone");
+
+const DEFAULT_MINUTES = 9 * 60;
+const END_OF_DAY_MINUTES = 23 * 60 + 59;
+const MINUTE_MS = 60 * 1000;
+
+const lookupTable = (groups) => {
+  const table = new Map();
+  for (const [value, words] of Object.entries(groups)) {
+    for (const word of words) table.set(word, value);
+  }
+  return table;
+};
+
+const DAY_WORDS = lookupTable({
+  0: ["today", "aj", "aaj", "ajke", "aajke", "আজ", "আজকে"],
+  1: [
+    "tomorrow",
+    "tmr",
+    "tmrw",
+    "tomorow",
+    "kal",
+    "kaal",
+    "kalke",
+    "কাল",
+    "কালকে",
+  ],
+  2: ["porshu", "porsu", "পরশু"],
+});
+
+const PERIODS = lookupTable({
+  morning: ["morning", "shokal", "sokal", "সকাল"],
+  noon: ["noon", "dupur", "দুপুর"],
+  afternoon: ["afternoon", "bikal", "bikel", "বিকাল", "বিকেল"],
+  evening: ["evening", "shondha", "sondha", "shondhya", "সন্ধ্যা", "সন্ধা"],
+  night: ["night", "rat", "raat", "রাত"],
+  midnight: ["midnight"],
+});
+const PERIOD_MINUTES = {
+  morning: 9 * 60,
+  noon: 12 * 60,
+  afternoon: 16 * 60,
+  evening: 18 * 60,
+  night: 21 * 60,
+  midnight: END_OF_DAY_MINUTES,
+};
+// Part-of-day words that are too common to mean a date on their own
+const WEAK_PERIODS = ["morning", "afternoon", "evening", "night"];
+
+const WEEKDAYS = lookupTable({
+  0: ["sunday", "sun", "robibar", "rabibar", "রবিবার"],
+  1: ["monday", "mon", "shombar", "sombar", "somobar", "shomobar", "সোমবার"],
+  2: ["tuesday", "tue", "tues", "mongolbar", "mongalbar", "মঙ্গলবার"],
+  3: ["wednesday", "wed", "budhbar", "budhbaar", "বুধবার"],
+  4: [
+    "thursday",
+    "thu",
+    "thur",
+    "thurs",
+    "brihoshpotibar",
+    "brihospotibar",
+    "bishudbar",
+    "বৃহস্পতিবার",
+  ],
+  5: ["friday", "fri", "shukrobar", "sukrobar", "শুক্রবার"],
+  6: ["saturday", "sat", "shonibar", "sonibar", "শনিবার"],
+});
+
+// Short day names are easily part of a title ("Email sat results"), so in
+// free text they only count at the end or right after one of these
+const WEEKDAY_ABBREVIATIONS = [
+  "sun",
+  "mon",
+  "tue",
+  "tues",
+  "wed",
+  "thu",
+  "thur",
+  "thurs",
+  "fri",
+  "sat",
+];
+const ABBREVIATION_ANCHORS = ["on", "by", "before", "this", "next", "coming"];
+
+const MODIFIERS = lookupTable({
+  next: ["next", "agami", "agamee", "আগামী", "samner", "shamner", "সামনের"],
+  this: ["this", "ei", "এই", "coming"],
+});
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+const monthOf = (word) => {
+  const index = MONTHS.findIndex(
+    (m) =>
+      m === word ||
+      m.slice(0, 3) === word ||
+      (m === "september" && word === "sept")
+  );
+  return index === -1 ? null : index + 1;
+};
+
+const UNITS = lookupTable({
+  minute: ["m", "min", "mins", "minute", "minutes", "minit", "মিনিট"],
+  hour: [
+    "h",
+    "hr",
+    "hrs",
+    "hour",
+    "hours",
+    "ghonta",
+    "ghonte",
+    "ঘন্টা",
+    "ঘণ্টা",
+  ],
+  day: ["d", "day", "days", "din", "দিন"],
+  week: ["w", "wk", "wks", "week", "weeks", "shoptah", "soptaho", "সপ্তাহ"],
+  month: ["month", "months", "mash", "মাস"],
+});
+
+const NUMBER_WORDS = lookupTable({
+  1: ["a", "an", "one", "ek"],
+  2: ["two", "dui"],
+  3: ["three", "tin"],
+  4: ["four", "char"],
+  5: ["five", "pach", "panch"],
+  6: ["six", "chhoy", "choy"],
+  7: ["seven"],
+  8: ["eight"],
+  9: ["nine", "noy"],
+  10: ["ten", "dosh"],
+  12: ["twelve", "baro"],
+});
+
+const RELATIVE_BEFORE = ["in", "after", "within"];
+const RELATIVE_AFTER = ["por", "pore", "পর", "পরে", "later"];
+const FILLERS = ["at", "on", "by", "before", "the", "of", "er", "e", "te"];
+// "5 ta", "5টা", "5টায়" - Bangla for o'clock
+const CLOCK_WORDS = ["ta", "tay", "tai", "টা", "টায়", "o'clock", "oclock"];
+
+// Bangla suffixes: "kalke", "raate", "রাতে", "সন্ধ্যায়", "shukrobare"
+const SUFFIXES = /(?:ke|te|e|y|কে|তে|ে|য়)$/u;
+
+// Finds `word` in `table`, also without a Bangla case suffix
+const lookup = (table, word) => {
+  if (table.has(word)) return table.get(word);
+  const bare = word.replace(SUFFIXES, "");
+  return bare !== word && table.has(bare) ? table.get(bare) : undefined;
+};
+
+const BANGLA_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+// Lower case, ASCII digits, no surrounding punctuation
+const normalizeWord = (word) =>
+  word
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[০-৯]/g, (d) => String(BANGLA_DIGITS.indexOf(d)))
+    .replace(/^[("'[]+|[)"'\],.!?;]+$/g, "");
+
+// ============================================
+// RECOGNIZERS
+// ============================================
+// Each looks at tokens from position i and returns { len, part } or null.
+// A part fills one slot of the spec: date, time, period or relative.
+
+const numberAt = (word) => {
+  if (/^\d{1,3}$/.test(word)) return Number(word);
+  const value = NUMBER_WORDS.get(word);
+  return value === undefined ? null : Number(value);
+};
+
+// "17:00", "5pm", "5:30pm", "5.30pm", "5ta", "5টায়" in one token
+const TIME_TOKEN =
+  /^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m|p\.m|ta|tay|tai|টা|টায়|টায়)?$/u;
+
+// A lone number is only a time with am/pm, "ta", a colon, or after "at"
+// or a part of day ("raat 9")
+const TIME_LEADS = ["at", "by", "before"];
+
+const recognizeTime = (words, i) => {
+  const word = words[i];
+  if (!word) return null;
+  if (word === "noon") {
+    return { len: 1, part: { time: { hour: 12, minute: 0, meridiem: "pm" } } };
+  }
+  if (word === "midnight") return { len: 1, part: { period: "midnight" } };
+
+  const match = word.match(TIME_TOKEN);
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = match[2] === undefined ? null : Number(match[2]);
+  let marker = match[3];
+  let len = 1;
+
+  // "5 pm", "5 ta"
+  const next = words[i + 1];
+  if (!marker && next && /^(am|pm|a\.m|p\.m)$/.test(next)) {
+    marker = next;
+    len = 2;
+  } else if (!marker && next && CLOCK_WORDS.includes(next)) {
+    marker = "ta";
+    len = 2;
+  }
+
+  const prev = words[i - 1];
+  if (
+    !marker &&
+    minute === null &&
+    !TIME_LEADS.includes(prev) &&
+    !(prev && lookup(PERIODS, prev))
+  ) {
+    return null;
+  }
+
+  const meridiem = marker && /^[ap]/.test(marker) ? marker[0] + "m" : null;
+  if (meridiem ? hour < 1 || hour > 12 : hour > 23) return null;
+  if (minute !== null && minute > 59) return null;
+
+  return {
+    len,
+    part: {
+      time: {
+        hour,
+        minute: minute ?? 0,
+        meridiem,
+        // "5", "5 ta", "5:30" - am or pm still to be worked out
+        bare: !meridiem && hour >= 1 && hour <= 12,
+      },
+    },
+  };
+};
+
+const recognizeRelative = (words, i) => {
+  const unitOf = (word) => UNITS.get(word) || null;
+  // "2h", "30m", "3d"
+  const compact = (word) => {
+    const m = word?.match(/^(\d{1,3})(m|min|h|hr|d|w)$/);
+    return m ? { amount: Number(m[1]), unit: UNITS.get(m[2]) } : null;
+  };
+
+  if (RELATIVE_BEFORE.includes(words[i])) {
+    const short = compact(words[i + 1]);
+    if (short) return { len: 2, part: { relative: short } };
+    const amount = numberAt(words[i + 1] || "");
+    const unit = unitOf(words[i + 2] || "");
+    if (amount !== null && unit) {
+      return { len: 3, part: { relative: { amount, unit } } };
+    }
+    return null;
+  }
+
+  const short = compact(words[i]);
+  if (short && RELATIVE_AFTER.includes(words[i + 1])) {
+    return { len: 2, part: { relative: short } };
+  }
+  const amount = /^\d{1,3}$/.test(words[i]) ? Number(words[i]) : null;
+  const unit = unitOf(words[i + 1] || "");
+  if (amount !== null && unit && RELATIVE_AFTER.includes(words[i + 2])) {
+    return { len: 3, part: { relative: { amount, unit } } };
+  }
+  return null;
+};
+
+const END_UNITS = ["day", "week", "month"];
+const END_PHRASES = new Map([
+  ["eod", "day"],
+  ["eow", "week"],
+  ["eom", "month"],
+  ["month end", "month"],
+  ["maser sheshe", "month"],
+  ["masher sheshe", "month"],
+  ["মাসের শেষে", "month"],
+  ["shoptaher sheshe", "week"],
+  ["সপ্তাহের শেষে", "week"],
+]);
+
+const recognizeEnd = (words, i) => {
+  // "end of month", "end of the week"
+  if (words[i] === "end" && words[i + 1] === "of") {
+    const j = words[i + 2] === "the" ? i + 3 : i + 2;
+    if (END_UNITS.includes(words[j])) {
+      return { len: j - i + 1, part: { date: { end: words[j] } } };
+    }
+    return null;
+  }
+  for (const len of [2, 1]) {
+    if (i + len > words.length) continue;
+    const unit = END_PHRASES.get(words.slice(i, i + len).join(" "));
+    if (unit) return { len, part: { date: { end: unit } } };
+  }
+  return null;
+};
+
+const recognizeDay = (words, i) => {
+  if (words.slice(i, i + 3).join(" ") === "day after tomorrow") {
+    return { len: 3, part: { date: { offset: 2 } } };
+  }
+  if (words[i] === "tonight") {
+    return { len: 1, part: { date: { offset: 0 }, period: "night" } };
+  }
+  const offset = lookup(DAY_WORDS, words[i]);
+  return offset === undefined
+    ? null
+    : { len: 1, part: { date: { offset: Number(offset) } } };
+};
+
+const recognizeWeekday = (words, i) => {
+  const mode = lookup(MODIFIERS, words[i]);
+  const j = mode ? i + 1 : i;
+  const word = words[j];
+  if (!word) return null;
+
+  const weekday = lookup(WEEKDAYS, word);
+  if (weekday !== undefined) {
+    return {
+      len: j - i + 1,
+      part: { date: { weekday: Number(weekday), mode: mode || "coming" } },
+    };
+  }
+  if (word === "weekend") {
+    return { len: j - i + 1, part: { date: { weekend: mode || "this" } } };
+  }
+  // "next week", "agami mash"
+  const unit = lookup(UNITS, word);
+  if (
+    mode === "next" &&
+    (unit === "week" || unit === "month") &&
+    word.length > 1
+  ) {
+    return { len: 2, part: { date: { next: unit } } };
+  }
+  return null;
+};
+
+const recognizeCalendarDate = (words, i) => {
+  const word = words[i];
+
+  // 2025-11-28
+  let m = word.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) {
+    return {
+      len: 1,
+      part: { date: { year: +m[1], month: +m[2], day: +m[3] } },
+    };
+  }
+  // 28/11, 28/11/2025, 28-11-2025 - day first
+  m = word.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/);
+  if (m && (m[3] || word.includes("/"))) {
+    const year = m[3] ? Number(m[3].length === 2 ? `20${m[3]}` : m[3]) : null;
+    return { len: 1, part: { date: { year, month: +m[2], day: +m[1] } } };
+  }
+
+  const dayNumber = (w) => {
+    const d = w?.match(/^(\d{1,2})(?:st|nd|rd|th)?$/);
+    return d ? Number(d[1]) : null;
+  };
+  const yearAt = (w) => (/^\d{4}$/.test(w || "") ? Number(w) : null);
+
+  // "28 nov [2025]"
+  let day = dayNumber(word);
+  let month = words[i + 1] ? monthOf(words[i + 1]) : null;
+  if (day !== null && month) {
+    const year = yearAt(words[i + 2]);
+    return {
+      len: year ? 3 : 2,
+      part: { date: { year, month, day } },
+    };
+  }
+  // "nov 28 [2025]"
+  month = monthOf(word);
+  day = dayNumber(words[i + 1]);
+  if (month && day !== null) {
+    const year = yearAt(words[i + 2]);
+    return {
+      len: year ? 3 : 2,
+      part: { date: { year, month, day } },
+    };
+  }
+  return null;
+};
+
+const recognizePeriod = (words, i) => {
+  const period = lookup(PERIODS, words[i]);
+  return period ? { len: 1, part: { period } } : null;
+};
+
+const RECOGNIZERS = [
+  recognizeRelative,
+  recognizeEnd,
+  recognizeDay,
+  recognizeWeekday,
+  recognizeCalendarDate,
+  recognizeTime,
+  recognizePeriod,
+];
+
+const recognize = (words, i) => {
+  for (const recognizer of RECOGNIZERS) {
+    const match = recognizer(words, i);
+    if (match) return match;
+  }
+  return null;
+};
+
+const SHORT_UNITS = ["minute", "hour"];
+
+// Each slot is filled once; "in 3 days" leaves no room for another date,
+// "in 2 hours" for anything else
+const clashes = (spec, part) => {
+  if (Object.keys(part).some((slot) => spec[slot])) return true;
+  const relative = spec.relative || part.relative;
+  if (!relative) return false;
+  const other = spec.relative ? part : spec;
+  return SHORT_UNITS.includes(relative.unit)
+    ? Object.keys(other).length > 0
+    : Boolean(other.date);
+};
+
+// The longest run of date words starting at `start`: { end, spec } or
+// null
+const runAt = (words, start) => {
+  const spec = {};
+  let i = start;
+  let end = start;
+
+  while (i < words.length) {
+    let j = i;
+    while (j < words.length && FILLERS.includes(words[j]) && j - i < 2) j++;
+    const match = j < words.length && recognize(words, j);
+    if (!match) break;
+
+    if (clashes(spec, match.part)) break;
+    // "raat", "rate", "evening" only mean a time next to a day or a clock
+    // time: "kal raat", "raat 9 ta", not "check exchange rate"
+    const weak = WEAK_PERIODS.includes(match.part.period) && !match.part.date;
+    if (
+      weak &&
+      !spec.date &&
+      !spec.relative &&
+      !recognizeTime(words, j + match.len)
+    ) {
+      break;
+    }
+    Object.assign(spec, match.part);
+    i = j + match.len;
+    end = i;
+  }
+
+  if (end === start) return null;
+  // "night" or "next" alone is just a word
+  const anchored =
+    spec.date ||
+    spec.relative ||
+    spec.time ||
+    (spec.period && !WEAK_PERIODS.includes(spec.period));
+  return anchored ? { end, spec } : null;
+};
+
+// ============================================
+// RESOLUTION
+// ============================================
+
+const addMonths = (dateKey, months) => {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  const last = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, last)))
+    .toISOString()
+    .slice(0, 10);
+};
+
+const validDateKey = (year, month, day) => {
+  const key = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const date = new Date(`${key}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(key) ? key : null;
+};
+
+// Monday-based weeks: days since this week's Monday
+const sinceMonday = (weekday) => (weekday + 6) % 7;
+
+// spec.date -> { dateKey, minutes? } relative to `today`
+const resolveDate = (date, today) => {
+  const { dateKey, weekday } = today;
+
+  if (date.offset !== undefined)
+    return { dateKey: addDays(dateKey, date.offset) };
+
+  if (date.weekday !== undefined) {
+    if (date.mode === "next") {
+      const nextMonday = addDays(dateKey, 7 - sinceMonday(weekday));
+      return { dateKey: addDays(nextMonday, sinceMonday(date.weekday)) };
+    }
+    if (date.mode === "this") {
+      const ahead = sinceMonday(date.weekday) - sinceMonday(weekday);
+      if (ahead >= 0) return { dateKey: addDays(dateKey, ahead) };
+    }
+    // Always the next one - "monday" on a Monday means next week
+    return { dateKey: addDays(dateKey, (date.weekday - weekday + 7) % 7 || 7) };
+  }
+
+  if (date.weekend) {
+    const saturday = addDays(dateKey, 5 - sinceMonday(weekday));
+    if (date.weekend === "next") return { dateKey: addDays(saturday, 7) };
+    return { dateKey: weekday === 0 ? dateKey : saturday };
+  }
+
+  if (date.next === "week") {
+    return { dateKey: addDays(dateKey, 7 - sinceMonday(weekday)) };
+  }
+  if (date.next === "month") {
+    return { dateKey: addMonths(`${dateKey.slice(0, 7)}-01`, 1) };
+  }
+
+  if (date.end === "day") return { dateKey, minutes: END_OF_DAY_MINUTES };
+  if (date.end === "week") {
+    return {
+      dateKey: addDays(dateKey, 6 - sinceMonday(weekday)),
+      minutes: END_OF_DAY_MINUTES,
+    };
+  }
+  if (date.end === "month") {
+    const [y, m] = dateKey.split("-").map(Number);
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return {
+      dateKey: validDateKey(y, m, last),
+      minutes: END_OF_DAY_MINUTES,
+    };
+  }
+
+  // Calendar date; without a year the next time it comes round
+  const year = date.year || Number(dateKey.slice(0, 4));
+  let key = validDateKey(year, date.month, date.day);
+  if (key && !date.year && key < dateKey) {
+    key = validDateKey(year + 1, date.month, date.day);
+  }
+  return key ? { dateKey: key } : null;
+};
+
+// spec.time (+ period) -> minutes after midnight
+const resolveClock = ({ hour, minute, meridiem, bare }, period) => {
+  let h = hour;
+  if (meridiem) {
+    h = (hour % 12) + (meridiem === "pm" ? 12 : 0);
+  } else if (bare && period) {
+    if (period === "morning") h = hour % 12;
+    else if (period === "noon") h = hour === 12 || hour > 4 ? hour : hour + 12;
+    else if (period === "night" && hour === 12) return END_OF_DAY_MINUTES;
+    else h = hour < 12 ? hour + 12 : hour;
+  } else if (bare) {
+    h = hour >= 1 && hour <= 6 ? hour + 12 : hour;
+  }
+  return h * 60 + minute;
+};
+
+const resolveSpec = (spec, now, timeZone) => {
+  const today = zonedParts(now, timeZone);
+
+  let resolved = null;
+  if (spec.relative) {
+    const { amount, unit } = spec.relative;
+    if (SHORT_UNITS.includes(unit)) {
+      const minutes = unit === "hour" ? amount * 60 : amount;
+      return new Date(now.getTime() + minutes * MINUTE_MS);
+    }
+    // "in 3 days", "2 din por 5pm"
+    resolved = {
+      dateKey:
+        unit === "month"
+          ? addMonths(today.dateKey, amount)
+          : addDays(today.dateKey, amount * (unit === "week" ? 7 : 1)),
+    };
+  } else if (spec.date) {
+    resolved = resolveDate(spec.date, today);
+    if (!resolved?.dateKey) return null;
+  }
+
+  const minutes = spec.time
+    ? resolveClock(spec.time, spec.period)
+    : spec.period
+      ? PERIOD_MINUTES[spec.period]
+      : (resolved?.minutes ?? DEFAULT_MINUTES);
+
+  if (resolved) return zonedTimeToUtc(resolved.dateKey, minutes, timeZone);
+
+  // Only a time: today, or tomorrow once it has passed
+  const todayAt = zonedTimeToUtc(today.dateKey, minutes, timeZone);
+  return todayAt > now
+    ? todayAt
+    : zonedTimeToUtc(addDays(today.dateKey, 1), minutes, timeZone);
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+const tokenize = (text) => {
+  const raw = String(text || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  return { raw, words: raw.map(normalizeWord) };
+};
+
+// The whole of `text` as a date. Returns a Date or null.
+function parseDateExpression(text, { now = new Date(), timeZone } = {}) {
+  const { words } = tokenize(text);
+  if (words.length === 0) return null;
+
+  // Leading fillers: "by friday", "at 5pm"
+  let start = 0;
+  while (start < words.length - 1 && FILLERS.includes(words[start])) start++;
+
+  const run = runAt(words, start);
+  if (!run || run.end !== words.length) return null;
+  return resolveSpec(run.spec, now, timeZone);
+}
+
+// Finds the date phrase inside free text ("Submit report tomorrow 5pm").
+// Returns { deadline, rest } with the phrase taken out, or null.
+function extractDateExpression(text, { now = new Date(), timeZone } = {}) {
+  const { raw, words } = tokenize(text);
+
+  const looseAbbreviation = (k) =>
+    WEEKDAY_ABBREVIATIONS.includes(words[k]) &&
+    !ABBREVIATION_ANCHORS.includes(words[k - 1]);
+  const allowed = (start, end) => {
+    if (end === words.length) return true;
+    for (let k = start; k < end; k++) {
+      if (looseAbbreviation(k)) return false;
+    }
+    return true;
+  };
+
+  // The longest phrase wins; on a tie the later one, dates tend to come
+  // last
+  let best = null;
+  for (let i = 0; i < words.length; i++) {
+    const run = runAt(words, i);
+    if (!run || !allowed(i, run.end)) continue;
+    if (!best || run.end - i >= best.end - best.start) {
+      best = { start: i, ...run };
+    }
+  }
+  if (!best) return null;
+
+  const deadline = resolveSpec(best.spec, now, timeZone);
+  if (!deadline) return null;
+
+  // Fillers right before the phrase belong to it: "... by friday"
+  let start = best.start;
+  while (start > 0 && FILLERS.includes(words[start - 1])) start--;
+  const rest = [...raw.slice(0, start), ...raw.slice(best.end)].join(" ");
+  return { deadline, rest };
+}
+
+// Any deadline input -> UTC ISO string, or null. ISO dates go through
+// parseDeadline(); anything else is read as an expression first.
+function resolveDeadline(value, { now = new Date(), timeZone } = {}) {
+  if (value instanceof Date || typeof value !== "string") {
+    return parseDeadline(value, timeZone);
+  }
+  if (/^\s*\d{4}-\d{2}-\d{2}(?:[T ]|\s*$)/.test(value)) {
+    return parseDeadline(value, timeZone);
+  }
+
+  const date = parseDateExpression(value, { now, timeZone });
+  if (date) return date.toISOString();
+
+  // Full date strings such as "Fri, 24 Oct 2025 17:00:00 GMT"
+  return /\b\d{4}\b/.test(value) ? parseDeadline(value, timeZone) : null;
+}
+
+module.exports = {
+  parseDateExpression,
+  extractDateExpression,
+  resolveDeadline,
+};
@@ -0,0 +1,183 @@
+// utils/digest.js
+// Opt-in Telegram digests. Stored on the user document as
+//   digest: {
+//     daily: { enabled: true, time: "08:00" },
+//     weekly: { enabled: true, day: 0, time: "18:00" },   // day: 0 = Sunday
+//   }
+// Times are wall-clock times in the user's `timezone`.
+const { isOpen, isOverdue } = require("./taskStatus");
+const { DEFAULT_PRESSURE_SETTINGS, calculatePressure } = require("./pressure");
+const { zonedParts, parseClockTime, formatDateTime } = require("./timezone");
+
+const DEFAULT_DIGEST_SETTINGS = {
+  daily: { enabled: false, time: "08:00" },
+  weekly: { enabled: false, day: 0, time: "18:00" },
+};
+
+// A digest missed by a few cron ticks is still sent
+const CATCH_UP_MINUTES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const digestSettingsOf = (user) => ({
+  daily: { ...DEFAULT_DIGEST_SETTINGS.daily, ...user?.digest?.daily },
+  weekly: { ...DEFAULT_DIGEST_SETTINGS.weekly, ...user?.digest?.weekly },
+});
+
+// Merges a partial update into the user's settings. Returns { settings }
+// or { error }.
+const parseDigestSettings = (input, user) => {
+  if (!input || typeof input !== "object") {
+    return { error: "Invalid digest settings" };
+  }
+
+  const settings = digestSettingsOf(user);
+
+  for (const kind of ["daily", "weekly"]) {
+    const patch = input[kind];
+    if (patch === undefined) continue;
+    if (!patch || typeof patch !== "object") {
+      return { error: `Invalid ${kind} digest settings` };
+    }
+
+    if (patch.enabled !== undefined) {
+      if (typeof patch.enabled !== "boolean") {
+        return { error: "enabled must be boolean" };
+      }
+      settings[kind].enabled = patch.enabled;
+    }
+    if (patch.time !== undefined) {
+      if (parseClockTime(patch.time) === null) {
+        return { error: "time must be HH:MM" };
+      }
+      settings[kind].time = patch.time;
+    }
+    if (kind === "weekly" && patch.day !== undefined) {
+      if (!Number.isInteger(patch.day) || patch.day < 0 || patch.day > 6) {
+        return { error: "day must be 0 (Sunday) to 6 (Saturday)" };
+      }
+      settings.weekly.day = patch.day;
+    }
+  }
+
+  return { settings };
+};
+
+// Digests due for `user` right now: [{ kind, key }], key being the local
+// date it is due on, so each digest goes out once per day at most
+const dueDigests = (user, now = new Date()) => {
+  const settings = digestSettingsOf(user);
+  const local = zonedParts(now, user.timezone);
+  const minutes = local.hour * 60 + local.minute;
+  const isDue = (time) => {
+    const target = parseClockTime(time);
+    return minutes >= target && minutes < target + CATCH_UP_MINUTES;
+  };
+
+  const due = [];
+  if (settings.daily.enabled && isDue(settings.daily.time)) {
+    due.push({ kind: "daily", key: local.dateKey });
+  }
+  if (
+    settings.weekly.enabled &&
+    local.weekday === settings.weekly.day &&
+    isDue(settings.weekly.time)
+  ) {
+    due.push({ kind: "weekly", key: local.dateKey });
+  }
+  return due;
+};
+
+const taskLine = (task, user) =>
+  `• ${task.title} (${task.category}) — ${formatDateTime(
+    task.deadline,
+    user.timezone,
+    user.locale
+  )}`;
+
+function buildDailyDigest(user, userTasks, now = new Date()) {
+  const tz = user.timezone;
+  const today = zonedParts(now, tz).dateKey;
+
+  const dueToday = userTasks
+    .filter(
+      (t) =>
+        isOpen(t) &&
+        t.deadline &&
+        new Date(t.deadline) >= now &&
+        zonedParts(new Date(t.deadline), tz).dateKey === today
+    )
+    .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+  const overdue = userTasks.filter((t) => isOverdue(t, now));
+  const pressure = calculatePressure(
+    userTasks,
+    user.pressureSettings || DEFAULT_PRESSURE_SETTINGS,
+    now,
+    tz
+  );
+
+  let message = `☀️ Your day on Overlax\n\n`;
+
+  message += `📅 Today (${dueToday.length}):\n`;
+  message += dueToday.length
+    ? dueToday.map((t) => taskLine(t, user)).join("\n")
+    : "Nothing due today 🎉";
+
+  if (overdue.length) {
+    message += `\n\n🔴 Overdue (${overdue.length}):\n`;
+    message += overdue
+      .slice(0, 10)
+      .map((t) => taskLine(t, user))
+      .join("\n");
+    if (overdue.length > 10) message += `\n…and ${overdue.length - 10} more`;
+  }
+
+  message += `\n\n📊 Pressure: ${pressure.pressureLevel} (${pressure.score})`;
+  return message;
+}
+
+function buildWeeklyDigest(user, userTasks, now = new Date()) {
+  const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+  const inWeek = (value) => value && new Date(value) >= weekAgo;
+
+  const created = userTasks.filter((t) => inWeek(t.createdAt));
+  const completed = userTasks.filter(
+    (t) => t.status === "done" && inWeek(t.completedAt)
+  );
+  const overdue = userTasks.filter((t) => isOverdue(t, now));
+
+  const byCategory = {};
+  for (const t of created) {
+    byCategory[t.category] ||= { created: 0, completed: 0 };
+    byCategory[t.category].created++;
+  }
+  for (const t of completed) {
+    byCategory[t.category] ||= { created: 0, completed: 0 };
+    byCategory[t.category].completed++;
+  }
+
+  let message = `📆 Your week on Overlax\n\n`;
+  message += `✅ Completed: ${completed.length}\n`;
+  message += `➕ Created: ${created.length}\n`;
+  message += `🔴 Still overdue: ${overdue.length}\n`;
+
+  const categories = Object.entries(byCategory).sort(
+    (a, b) => b[1].completed - a[1].completed
+  );
+  if (categories.length) {
+    message += `\n📋 By category:\n`;
+    message += categories
+      .map(([name, c]) => `• ${name}: ${c.completed} done / ${c.created} new`)
+      .join("\n");
+  }
+
+  return message;
+}
+
+module.exports = {
+  DEFAULT_DIGEST_SETTINGS,
+  digestSettingsOf,
+  parseDigestSettings,
+  dueDigests,
+  buildDailyDigest,
+  buildWeeklyDigest,
+};
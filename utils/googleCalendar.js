@@ -0,0 +1,454 @@
+// utils/googleCalendar.js
+// Two-way sync between tasks and a dedicated "Overlax" Google Calendar.
+// On the user document:
+//   googleTokens:   OAuth tokens incl. the refresh token (server-side only)
+//   googleCalendar: { calendarId, syncToken, connectedAt, lastSyncAt }
+// On each synced task:
+//   googleEvent: { id, updated }   // `updated` of the last version we saw
+// Every function takes the Calendar API client as an argument, so a mocked
+// client can stand in for Google.
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { google } = require("googleapis");
+const { OPEN_STATUSES, isOpen } = require("./taskStatus");
+
+const SCOPES = ["https://www.googleapis.com/auth/calendar"];
+const CALENDAR_NAME = "Overlax";
+// Tasks without an estimate show up as 30 minute events
+const DEFAULT_EVENT_MINUTES = 30;
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const users = (db) => db.collection("users");
+const tasks = (db) => db.collection("tasks");
+
+const isConfigured = () =>
+  !!(
+    process.env.GOOGLE_CLIENT_ID &&
+    process.env.GOOGLE_CLIENT_SECRET &&
+    process.env.GOOGLE_REDIRECT_URI
+  );
+
+const oauthClient = () =>
+  new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+
+// ============================================
+// OAUTH
+// ============================================
+
+// The OAuth state carries the uid, signed so the callback can trust it
+const signState = (payload) =>
+  crypto
+    .createHmac("sha256", process.env.GOOGLE_CLIENT_SECRET)
+    .update(payload)
+    .digest("base64url");
+
+const createAuthUrl = (uid) => {
+  const payload = Buffer.from(
+    JSON.stringify({ uid, exp: Date.now() + STATE_TTL_MS })
+  ).toString("base64url");
+
+  return oauthClient().generateAuthUrl({
+    access_type: "offline",
+    // Always ask, so Google sends a refresh token on reconnects too
+    prompt: "consent",
+    scope: SCOPES,
+    state: `${payload}.${signState(payload)}`,
+  });
+};
+
+// Returns the uid, or null for a forged or expired state
+const verifyState = (state) => {
+  const [payload, signature] = String(state || "").split(".");
+  if (!payload || !signature) return null;
+
+  const expected = signState(payload);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const { uid, exp } = JSON.parse(Buffer.from(payload, "base64url"));
+    return exp > Date.now() ? uid : null;
+  } catch {
+    return null;
+  }
+};
+
+// Exchanges the callback code and stores the tokens. Returns the uid or
+// null when the state is invalid.
+async function completeOAuth(db, code, state) {
+  const uid = verifyState(state);
+  if (!uid) return null;
+
+  const { tokens } = await oauthClient().getToken(code);
+  const existing = await users(db).findOne({ uid });
+
+  await users(db).updateOne(
+    { uid },
+    {
+      $set: {
+        // Google only sends a refresh token on first consent - keep the old
+        googleTokens: {
+          ...tokens,
+          refresh_token:
+            tokens.refresh_token || existing?.googleTokens?.refresh_token,
+        },
+        "googleCalendar.connectedAt": new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+
+  console.log("✅ Google Calendar connected for user:", uid);
+  return uid;
+}
+
+// Calendar API client for `user`. Refreshed access tokens are saved.
+const calendarFor = (db, user) => {
+  const auth = oauthClient();
+  auth.setCredentials(user.googleTokens);
+  auth.on("tokens", (tokens) => {
+    const $set = {};
+    for (const [key, value] of Object.entries(tokens)) {
+      $set[`googleTokens.${key}`] = value;
+    }
+    users(db)
+      .updateOne({ uid: user.uid }, { $set })
+      .catch((err) => console.error("❌ Saving Google tokens failed:", err));
+  });
+  return google.calendar({ version: "v3", auth });
+};
+
+// Revokes access and forgets everything sync-related. The Overlax
+// calendar itself stays in the user's Google account.
+async function disconnect(db, user) {
+  const token =
+    user.googleTokens?.refresh_token || user.googleTokens?.access_token;
+  if (token) {
+    await oauthClient()
+      .revokeToken(token)
+      .catch((err) =>
+        console.log("⚠️ Google token revoke failed:", err.message)
+      );
+  }
+
+  await users(db).updateOne(
+    { uid: user.uid },
+    {
+      $unset: { googleTokens: "", googleCalendar: "" },
+      $set: { updatedAt: new Date() },
+    }
+  );
+  await tasks(db).updateMany(
+    { uid: user.uid, googleEvent: { $exists: true } },
+    { $unset: { googleEvent: "" } }
+  );
+  console.log("🔌 Google Calendar disconnected for user:", user.uid);
+}
+
+// ============================================
+// PUSH (tasks -> calendar)
+// ============================================
+
+// Creates the dedicated calendar on first use
+async function ensureCalendar(db, user, calendar) {
+  if (user.googleCalendar?.calendarId) return user.googleCalendar.calendarId;
+
+  const { data } = await calendar.calendars.insert({
+    requestBody: {
+      summary: CALENDAR_NAME,
+      description: "Tasks from Overlax",
+      ...(user.timezone && { timeZone: user.timezone }),
+    },
+  });
+
+  await users(db).updateOne(
+    { uid: user.uid },
+    { $set: { "googleCalendar.calendarId": data.id } }
+  );
+  user.googleCalendar = { ...user.googleCalendar, calendarId: data.id };
+  return data.id;
+}
+
+const eventFor = (task) => {
+  const start = new Date(task.deadline);
+  const minutes = task.estimatedMinutes || DEFAULT_EVENT_MINUTES;
+  return {
+    summary: task.title,
+    description: `📋 ${task.category}`,
+    start: { dateTime: start.toISOString() },
+    end: {
+      dateTime: new Date(start.getTime() + minutes * 60000).toISOString(),
+    },
+    extendedProperties: { private: { overlaxTaskId: task._id.toString() } },
+  };
+};
+
+// Google answers 404 / 410 for events that are already gone
+const isGone = (err) => [404, 410].includes(err.code || err.status);
+
+// Brings the task's event in line with the task: open tasks with a
+// deadline have one, everything else doesn't
+async function pushTask(db, user, task, calendar) {
+  const calendarId = await ensureCalendar(db, user, calendar);
+  const eventId = task.googleEvent?.id;
+  const wanted = task.deadline && isOpen(task) && !task.deletedAt;
+
+  if (!wanted) {
+    if (!eventId) return "skipped";
+    try {
+      await calendar.events.delete({ calendarId, eventId });
+    } catch (err) {
+      if (!isGone(err)) throw err;
+    }
+    await tasks(db).updateOne(
+      { _id: task._id },
+      { $unset: { googleEvent: "" } }
+    );
+    return "deleted";
+  }
+
+  let data;
+  if (eventId) {
+    try {
+      ({ data } = await calendar.events.patch({
+        calendarId,
+        eventId,
+        requestBody: eventFor(task),
+      }));
+    } catch (err) {
+      // Deleted on the Google side in the meantime - create it again
+      if (!isGone(err)) throw err;
+    }
+  }
+  if (!data) {
+    ({ data } = await calendar.events.insert({
+      calendarId,
+      requestBody: eventFor(task),
+    }));
+  }
+
+  await tasks(db).updateOne(
+    { _id: task._id },
+    { $set: { googleEvent: { id: data.id, updated: data.updated } } }
+  );
+  return eventId ? "updated" : "created";
+}
+
+// Pushes one task if its owner is connected. Errors are logged, not
+// thrown: calendar sync must never fail the request that changed the task.
+async function syncTaskToCalendar(db, uid, task, calendar) {
+  try {
+    const user = await users(db).findOne({ uid });
+    // Until the first full sync has created the calendar, that sync
+    // pushes everything anyway
+    if (!user?.googleCalendar?.calendarId || !isConfigured()) return null;
+    return await pushTask(db, user, task, calendar || calendarFor(db, user));
+  } catch (err) {
+    console.error(`❌ Calendar push failed for task ${task._id}:`, err.message);
+    return null;
+  }
+}
+
+// ============================================
+// PULL (calendar -> tasks)
+// ============================================
+
+// Applies one changed event to its task. Returns what happened.
+async function applyEvent(db, user, event) {
+  let task = await tasks(db).findOne({
+    uid: user.uid,
+    "googleEvent.id": event.id,
+  });
+
+  // Deleting the event archives the task rather than destroying it. Google
+  // reports deletions as just { id, status: "cancelled" }, so only the
+  // stored event id can tell which task it was.
+  if (event.status === "cancelled") {
+    if (!task) return "ignored";
+    await tasks(db).updateOne(
+      { _id: task._id },
+      {
+        $set: {
+          ...(isOpen(task) && { status: "archived", archivedAt: new Date() }),
+          updatedAt: new Date(),
+        },
+        $unset: { googleEvent: "" },
+      }
+    );
+    return "archived";
+  }
+
+  if (!task) {
+    // One of our events whose id never made it onto the task
+    const taskId = event.extendedProperties?.private?.overlaxTaskId;
+    if (!taskId || !ObjectId.isValid(taskId)) return "ignored"; // not ours
+    task = await tasks(db).findOne({
+      _id: new ObjectId(taskId),
+      uid: user.uid,
+      googleEvent: { $exists: false },
+    });
+    if (!task) return "ignored";
+  }
+  // Our own push echoing back
+  if (task.googleEvent?.updated && event.updated <= task.googleEvent.updated) {
+    return "unchanged";
+  }
+
+  // updatedAt follows the event, so the next push doesn't echo it back
+  const $set = {
+    googleEvent: { id: event.id, updated: event.updated },
+    updatedAt: new Date(event.updated),
+  };
+  const $unset = {};
+
+  const start = event.start?.dateTime || event.start?.date;
+  if (start) {
+    const deadline = new Date(start).toISOString();
+    if (deadline !== new Date(task.deadline).toISOString()) {
+      $set.deadline = deadline;
+      if (new Date(deadline) > new Date()) $unset.overdueAt = "";
+    }
+  }
+  if (event.summary && event.summary !== task.title) {
+    $set.title = event.summary;
+  }
+
+  await tasks(db).updateOne(
+    { _id: task._id },
+    { $set, ...(Object.keys($unset).length && { $unset }) }
+  );
+  return "updated";
+}
+
+// Incremental pull with the stored sync token. A full listing happens on
+// first sync and whenever Google expires the token (410).
+async function pullChanges(db, user, calendar) {
+  const calendarId = await ensureCalendar(db, user, calendar);
+  let syncToken = user.googleCalendar?.syncToken || null;
+  const counts = { updated: 0, archived: 0 };
+
+  for (;;) {
+    let pageToken;
+    let nextSyncToken = null;
+    try {
+      do {
+        const { data } = await calendar.events.list({
+          calendarId,
+          pageToken,
+          showDeleted: true,
+          singleEvents: true,
+          ...(syncToken && { syncToken }),
+        });
+        for (const event of data.items || []) {
+          const result = await applyEvent(db, user, event);
+          if (counts[result] !== undefined) counts[result]++;
+        }
+        pageToken = data.nextPageToken;
+        nextSyncToken = data.nextSyncToken || nextSyncToken;
+      } while (pageToken);
+    } catch (err) {
+      if ((err.code || err.status) === 410 && syncToken) {
+        console.log("🔄 Google sync token expired, doing a full sync");
+        syncToken = null;
+        continue;
+      }
+      throw err;
+    }
+
+    await users(db).updateOne(
+      { uid: user.uid },
+      {
+        $set: {
+          "googleCalendar.syncToken": nextSyncToken,
+          "googleCalendar.lastSyncAt": new Date(),
+        },
+      }
+    );
+    return counts;
+  }
+}
+
+// Full two-way sync for one user: pull what changed there, then push
+// what changed here. Returns counts for both directions.
+async function syncUser(db, user, calendar = calendarFor(db, user)) {
+  // Pulling first lets a calendar edit win over an untouched task
+  const pulled = await pullChanges(db, user, calendar);
+  const pushed = { created: 0, updated: 0, deleted: 0 };
+
+  // Open tasks still without an event, and every task that has one (it
+  // may have changed or closed since the last push)
+  const pending = await tasks(db)
+    .find({
+      uid: user.uid,
+      $or: [
+        {
+          googleEvent: { $exists: false },
+          deadline: { $ne: null },
+          status: { $in: OPEN_STATUSES },
+        },
+        { googleEvent: { $exists: true } },
+      ],
+    })
+    .toArray();
+
+  for (const task of pending) {
+    const needsEvent = task.deadline && isOpen(task);
+    // Unchanged since the event was last written
+    if (
+      needsEvent &&
+      task.googleEvent &&
+      !(
+        task.updatedAt &&
+        new Date(task.updatedAt) > new Date(task.googleEvent.updated)
+      )
+    ) {
+      continue;
+    }
+    const result = await pushTask(db, user, task, calendar);
+    if (pushed[result] !== undefined) pushed[result]++;
+  }
+
+  return { pushed, pulled };
+}
+
+// Periodic sync for every connected user
+async function syncAllUsers(db) {
+  if (!isConfigured()) return 0;
+
+  const connected = await users(db)
+    .find({ "googleTokens.refresh_token": { $exists: true } })
+    .toArray();
+
+  let synced = 0;
+  for (const user of connected) {
+    try {
+      await syncUser(db, user);
+      synced++;
+    } catch (err) {
+      console.error(`❌ Calendar sync failed for ${user.uid}:`, err.message);
+    }
+  }
+  return synced;
+}
+
+module.exports = {
+  isConfigured,
+  createAuthUrl,
+  completeOAuth,
+  calendarFor,
+  disconnect,
+  pushTask,
+  syncTaskToCalendar,
+  pullChanges,
+  syncUser,
+  syncAllUsers,
+};
@@ -0,0 +1,282 @@
+// utils/ical.js
+// iCalendar (RFC 5545) export and import. The feed has one VEVENT per
+// open task with a deadline, with a VALARM per reminder offset. Imports
+// read VEVENT and VTODO entries into task inputs for createTask().
+const { resolveReminderOffsets } = require("./reminderOffsets");
+const { parseRecurrence } = require("./recurrence");
+const { isOpen } = require("./taskStatus");
+const { isValidTimeZone, parseDeadline } = require("./timezone");
+
+// Tasks without an estimate show up as 30 minute events
+const DEFAULT_EVENT_MINUTES = 30;
+const MAX_IMPORT_ENTRIES = 500;
+
+// ============================================
+// EXPORT
+// ============================================
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// 2025-11-20T11:30:00.000Z -> 20251120T113000Z
+const formatUtc = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const eventLines = (task, user, now) => {
+  const start = new Date(task.deadline);
+  const minutes = task.estimatedMinutes || DEFAULT_EVENT_MINUTES;
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${task._id}@overlax`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(start.getTime() + minutes * 60000)}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    `CATEGORIES:${escapeText(task.category)}`,
+  ];
+  if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(task.updatedAt)}`);
+  if (task.priority === "urgent" || task.priority === "high") {
+    lines.push(`PRIORITY:${task.priority === "urgent" ? 1 : 3}`);
+  }
+
+  for (const offset of resolveReminderOffsets(task, user)) {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(task.title)}`,
+      `TRIGGER:${offset > 0 ? `-PT${offset}M` : "PT0S"}`,
+      "END:VALARM"
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+function buildCalendar(tasks, user, now = new Date()) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Overlax//Tasks//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Overlax",
+    ...(user?.timezone ? [`X-WR-TIMEZONE:${user.timezone}`] : []),
+  ];
+
+  for (const task of tasks) {
+    if (!isOpen(task) || !task.deadline || isNaN(new Date(task.deadline))) {
+      continue;
+    }
+    lines.push(...eventLines(task, user, now));
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+// "DTSTART;TZID=Asia/Dhaka:20251120T170000" ->
+//   { name: "DTSTART", params: { TZID: "Asia/Dhaka" }, value: "2025..." }
+const parseLine = (line) => {
+  // The first colon outside a quoted parameter value ends the name part
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, value = ""] = param.split("=");
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// DATE / DATE-TIME value -> UTC ISO string. Floating times and all-day
+// dates are read in `timeZone`, unless the line names its own TZID.
+const parseDateValue = ({ params, value }, timeZone) => {
+  const m = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
+  );
+  if (!m) return null;
+
+  // Non-IANA TZIDs ("Eastern Standard Time") fall back to the user's zone
+  const zone = isValidTimeZone(params.TZID) ? params.TZID : timeZone;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4]) return parseDeadline(date, zone);
+  const local = `${date}T${m[4]}:${m[5]}:${m[6]}`;
+  return m[7] ? parseDeadline(`${local}Z`) : parseDeadline(local, zone);
+};
+
+// "-PT15M", "-P1D", "-PT1H30M" -> minutes before the start, or null for
+// triggers after the start or relative to the end
+const parseTrigger = ({ params, value }) => {
+  if (params.RELATED === "END" || params.VALUE === "DATE-TIME") return null;
+  const m = value.match(
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+  );
+  if (!m) return null;
+
+  const minutes =
+    Number(m[2] || 0) * 7 * 24 * 60 +
+    Number(m[3] || 0) * 24 * 60 +
+    Number(m[4] || 0) * 60 +
+    Number(m[5] || 0) +
+    Math.floor(Number(m[6] || 0) / 60);
+  if (m[1] !== "-" && minutes > 0) return null;
+  return minutes;
+};
+
+// Returns { entries, errors }. Each entry is a createTask() input plus
+// the source `icsUid`; errors are [{ index, summary, error }].
+function parseCalendar(text, { timeZone, defaultCategory = "Personal" } = {}) {
+  // Unfold continuation lines first
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter(Boolean);
+
+  if (!/^BEGIN:VCALENDAR/i.test(lines[0] || "")) {
+    return {
+      entries: [],
+      errors: [{ index: null, error: "Not an iCalendar file" }],
+    };
+  }
+
+  const entries = [];
+  const errors = [];
+  let current = null;
+  let inAlarm = false;
+  let index = 0;
+
+  for (const raw of lines) {
+    const line = parseLine(raw);
+    if (!line) continue;
+
+    if (line.name === "BEGIN" && ["VEVENT", "VTODO"].includes(line.value)) {
+      current = { type: line.value, props: {}, alarms: [] };
+      continue;
+    }
+    if (!current) continue;
+
+    if (line.name === "BEGIN" && line.value === "VALARM") {
+      inAlarm = true;
+      continue;
+    }
+    if (line.name === "END" && line.value === "VALARM") {
+      inAlarm = false;
+      continue;
+    }
+    if (inAlarm) {
+      if (line.name === "TRIGGER") current.alarms.push(line);
+      continue;
+    }
+
+    if (line.name === "END" && line.value === current.type) {
+      const result = toTaskInput(current, timeZone, defaultCategory);
+      if (result.error) {
+        errors.push({
+          index,
+          summary: current.props.SUMMARY
+            ? unescapeText(current.props.SUMMARY.value)
+            : null,
+          error: result.error,
+        });
+      } else {
+        entries.push({ index, ...result.input });
+      }
+      index++;
+      current = null;
+      if (index >= MAX_IMPORT_ENTRIES) break;
+      continue;
+    }
+
+    // First occurrence of a property wins
+    current.props[line.name] ||= line;
+  }
+
+  return { entries, errors };
+}
+
+const toTaskInput = ({ type, props, alarms }, timeZone, defaultCategory) => {
+  const title = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : "";
+  if (!title) return { error: "Missing SUMMARY" };
+
+  // Completed / cancelled entries aren't worth importing
+  const status = props.STATUS?.value.toUpperCase();
+  if (["COMPLETED", "CANCELLED"].includes(status)) {
+    return { error: `Skipped ${status.toLowerCase()} entry` };
+  }
+
+  // Events are due when they start, to-dos when they are due
+  const dateProp =
+    type === "VTODO" ? props.DUE || props.DTSTART : props.DTSTART;
+  if (!dateProp) return { error: "Missing date" };
+  const deadline = parseDateValue(dateProp, timeZone);
+  if (!deadline) return { error: `Invalid date: ${dateProp.value}` };
+
+  const input = {
+    title,
+    deadline,
+    category: props.CATEGORIES
+      ? unescapeText(props.CATEGORIES.value).split(",")[0].trim() ||
+        defaultCategory
+      : defaultCategory,
+    icsUid: props.UID?.value || null,
+  };
+
+  const offsets = alarms
+    .map(parseTrigger)
+    .filter((m) => m !== null && m <= 30 * 24 * 60);
+  if (offsets.length) input.reminderOffsets = [...new Set(offsets)];
+
+  if (props.RRULE) {
+    const rule = parseRecurrence(props.RRULE.value);
+    if (rule) input.recurrence = rule;
+  }
+
+  return { input };
+};
+
+module.exports = { buildCalendar, parseCalendar };
@@ -0,0 +1,61 @@
+// utils/icsFeed.js
+// Secret-URL calendar subscriptions. Calendar apps can't send a Firebase
+// token, so the feed URL itself is the credential:
+//   /api/ics/feed/<token>.ics
+// Only a hash of the token is stored on the user (icsFeed.tokenHash);
+// creating a new token revokes the old URL.
+const crypto = require("crypto");
+
+const users = (db) => db.collection("users");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+async function ensureIcsFeedIndexes(db) {
+  await users(db).createIndex(
+    { "icsFeed.tokenHash": 1 },
+    {
+      unique: true,
+      partialFilterExpression: { "icsFeed.tokenHash": { $exists: true } },
+    }
+  );
+}
+
+// Issues a new feed token for `uid`, replacing any previous one
+async function createFeedToken(db, uid) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  await users(db).updateOne(
+    { uid },
+    {
+      $set: {
+        icsFeed: { tokenHash: hashToken(token), createdAt: new Date() },
+        updatedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  return token;
+}
+
+// Returns true when a feed was switched off
+async function revokeFeedToken(db, uid) {
+  const result = await users(db).updateOne(
+    { uid, icsFeed: { $exists: true } },
+    { $unset: { icsFeed: "" }, $set: { updatedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function findUserByFeedToken(db, token) {
+  if (typeof token !== "string" || !/^[A-Za-z0-9_-]{16,64}$/.test(token)) {
+    return null;
+  }
+  return users(db).findOne({ "icsFeed.tokenHash": hashToken(token) });
+}
+
+module.exports = {
+  ensureIcsFeedIndexes,
+  createFeedToken,
+  revokeFeedToken,
+  findUserByFeedToken,
+};
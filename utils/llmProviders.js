@@ -0,0 +1,253 @@
+// utils/llmProviders.js
+// The chat models the AI assistant can use. Every provider speaks the
+// OpenAI chat completions API, so each one is just
+//   { name, defaultModel, models, configured, create(params) }
+// where create() is client.chat.completions.create() (a stream of chunks
+// when params.stream is set).
+//
+//   groq    GROQ_API_KEY                 default llama-3.1-8b-instant
+//   openai  OPENAI_API_KEY               default gpt-4o-mini
+//   local   LOCAL_LLM_URL (Ollama, llama.cpp, ...) default LOCAL_LLM_MODEL
+//   mock    AI_MOCK=true                 deterministic, offline
+//
+// <NAME>_MODELS (comma separated) lists further models users may pick.
+// AI_PROVIDER is the default provider, AI_FALLBACK_PROVIDER the one tried
+// when the first can't be reached.
+const OpenAI = require("openai");
+
+const modelList = (defaultModel, env) => [
+  defaultModel,
+  ...(env || "")
+    .split(",")
+    .map((m) => m.trim())
+    .filter((m) => m && m !== defaultModel),
+];
+
+// Clients are created on first use so a missing key only breaks the
+// provider, not the server start
+const openAiCompatible = ({ name, baseURL, apiKey, defaultModel, models }) => {
+  let client = null;
+  return {
+    name,
+    defaultModel,
+    models: modelList(defaultModel, models),
+    configured: Boolean(apiKey),
+    create: (params) =>
+      (client ||= new OpenAI({ apiKey, baseURL })).chat.completions.create(
+        params
+      ),
+  };
+};
+
+// ============================================
+// MOCK PROVIDER
+// ============================================
+// Answers "Mock reply: <last user message>". A user message of the form
+//   /tool <name> <json arguments>
+// is turned into that tool call (when tools are offered), and the turn
+// after a tool result reports it back. Token counts are characters / 4.
+
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+const mockTurn = ({ messages, tools }) => {
+  const last = messages[messages.length - 1];
+  if (last?.role === "tool") {
+    const outcome = JSON.parse(last.content);
+    return { content: `Done: ${outcome.ok ? "ok" : outcome.error}` };
+  }
+
+  const text = [...messages].reverse().find((m) => m.role === "user")?.content;
+  const command = String(text || "").match(/^\/tool\s+(\w+)\s*([\s\S]*)$/);
+  if (command && tools?.length) {
+    return {
+      toolCall: {
+        id: `mock-call-${messages.length}`,
+        name: command[1],
+        arguments: command[2].trim() || "{}",
+      },
+    };
+  }
+  return { content: `Mock reply: ${text || ""}` };
+};
+
+const mockUsage = (messages, output) => {
+  const prompt = messages.reduce(
+    (sum, m) => sum + estimateTokens(m.content),
+    0
+  );
+  const completion = estimateTokens(output);
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion,
+  };
+};
+
+async function* mockStream(turn, usage, includeUsage) {
+  if (turn.toolCall) {
+    const { id, name, arguments: args } = turn.toolCall;
+    yield {
+      choices: [
+        {
+          delta: {
+            tool_calls: [{ index: 0, id, function: { name, arguments: "" } }],
+          },
+        },
+      ],
+    };
+    yield {
+      choices: [
+        {
+          delta: { tool_calls: [{ index: 0, function: { arguments: args } }] },
+        },
+      ],
+    };
+  } else {
+    // Word by word, like a real stream
+    for (const piece of turn.content.match(/\S+\s*/g) || []) {
+      yield { choices: [{ delta: { content: piece } }] };
+    }
+  }
+  if (includeUsage) yield { choices: [], usage };
+}
+
+const mockProvider = () => ({
+  name: "mock",
+  defaultModel: "mock",
+  models: ["mock"],
+  configured:
+    process.env.AI_MOCK === "true" || process.env.AI_PROVIDER === "mock",
+  create: async (params) => {
+    const turn = mockTurn(params);
+    const usage = mockUsage(
+      params.messages,
+      turn.content ?? turn.toolCall.arguments
+    );
+    if (params.stream) {
+      return mockStream(turn, usage, params.stream_options?.include_usage);
+    }
+    return {
+      model: params.model,
+      choices: [
+        { message: { role: "assistant", content: turn.content ?? "" } },
+      ],
+      usage,
+    };
+  },
+});
+
+const PROVIDERS = new Map(
+  [
+    openAiCompatible({
+      name: "groq",
+      baseURL: "https://api.groq.com/openai/v1",
+      apiKey: process.env.GROQ_API_KEY,
+      defaultModel: "llama-3.1-8b-instant",
+      models: process.env.GROQ_MODELS,
+    }),
+    openAiCompatible({
+      name: "openai",
+      apiKey: process.env.OPENAI_API_KEY,
+      defaultModel: process.env.OPENAI_MODEL || "gpt-4o-mini",
+      models: process.env.OPENAI_MODELS,
+    }),
+    {
+      // Local servers don't check the key, but the client wants one
+      ...openAiCompatible({
+        name: "local",
+        baseURL: process.env.LOCAL_LLM_URL,
+        apiKey: process.env.LOCAL_LLM_API_KEY || "local",
+        defaultModel: process.env.LOCAL_LLM_MODEL || "llama3.1",
+        models: process.env.LOCAL_LLM_MODELS,
+      }),
+      configured: Boolean(process.env.LOCAL_LLM_URL),
+    },
+    mockProvider(),
+  ].map((provider) => [provider.name, provider])
+);
+
+const DEFAULT_PROVIDER = process.env.AI_PROVIDER || "groq";
+const FALLBACK_PROVIDER = process.env.AI_FALLBACK_PROVIDER || null;
+
+// Providers a user can choose from
+const availableProviders = () =>
+  [...PROVIDERS.values()]
+    .filter((p) => p.configured)
+    .map(({ name, defaultModel, models }) => ({ name, defaultModel, models }));
+
+// Validates a { provider, model } choice; either may be left out.
+// Returns { provider, model } (both filled in) or { error }.
+function parseModelChoice({ provider, model } = {}) {
+  const name = provider ?? DEFAULT_PROVIDER;
+  if (typeof name !== "string") return { error: "Invalid provider" };
+  const chosen = PROVIDERS.get(name);
+  if (!chosen) return { error: `Unknown provider: ${name}` };
+  if (!chosen.configured) return { error: `Provider ${name} is not set up` };
+
+  if (model !== undefined && model !== null) {
+    if (!chosen.models.includes(model)) {
+      return {
+        error: `model must be one of ${chosen.models.join(", ")} for ${name}`,
+      };
+    }
+    return { provider: name, model };
+  }
+  return { provider: name, model: chosen.defaultModel };
+}
+
+// The providers to try for one chat request, in order: the request's
+// choice, else the user's saved one, else the default - then the
+// fallback provider with its default model. Returns { chain } or
+// { error }.
+function resolveModelChain(requested = {}, saved = null) {
+  const hasRequest =
+    requested.provider !== undefined || requested.model !== undefined;
+  // A model on its own is for the saved (or default) provider
+  const choice = hasRequest
+    ? {
+        provider: requested.provider ?? saved?.provider,
+        model: requested.model,
+      }
+    : saved || {};
+  let primary = parseModelChoice(choice);
+  // A saved choice can go stale when a provider is switched off
+  if (primary.error && !hasRequest) primary = parseModelChoice();
+  if (primary.error) return primary;
+
+  const chain = [primary];
+  const fallback = PROVIDERS.get(FALLBACK_PROVIDER);
+  if (fallback?.configured && fallback.name !== primary.provider) {
+    chain.push({ provider: fallback.name, model: fallback.defaultModel });
+  }
+  return { chain };
+}
+
+// Runs a chat completion on the first provider in `chain` that answers.
+// Returns { response, provider, model }; throws the last error when none
+// does. Errors after a stream has started are the caller's to handle.
+async function createChatCompletion(chain, params) {
+  let lastError;
+  for (const { provider, model } of chain) {
+    try {
+      const response = await PROVIDERS.get(provider).create({
+        ...params,
+        model,
+      });
+      return { response, provider, model };
+    } catch (err) {
+      lastError = err;
+      console.error(
+        `❌ LLM provider ${provider} (${model}) failed:`,
+        err.message
+      );
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  availableProviders,
+  parseModelChoice,
+  resolveModelChain,
+  createChatCompletion,
+};
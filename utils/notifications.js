@@ -0,0 +1,235 @@
+// utils/notifications.js
+// Notification dispatcher. Each channel in utils/channels/ implements
+//   name, isConfigured(), targets(db, user, notification, settings)
+//   send(target, notification, settings), prune?(db, user, target)
+// and users choose channels on their profile:
+//   notificationChannels: {
+//     telegram: { enabled, reminders, digests },
+//     email:    { enabled, reminders, digests, address },
+//     push:     { enabled, reminders, digests, tokens: [] },
+//     webhook:  { enabled, reminders, digests, url, secret },
+//   }
+// A notification is { uid, type: "reminders" | "digests", title, text,
+// taskId? }.
+const crypto = require("crypto");
+const { checkPublicUrl } = require("./publicUrl");
+
+const CHANNELS = {
+  telegram: require("./channels/telegram"),
+  email: require("./channels/email"),
+  push: require("./channels/push"),
+  webhook: require("./channels/webhook"),
+};
+
+const NOTIFICATION_TYPES = ["reminders", "digests"];
+
+// Telegram stays on by default so existing users keep their reminders
+const DEFAULT_CHANNEL_SETTINGS = {
+  telegram: { enabled: true, reminders: true, digests: true },
+  email: { enabled: false, reminders: true, digests: true, address: null },
+  push: { enabled: false, reminders: true, digests: true, tokens: [] },
+  webhook: {
+    enabled: false,
+    reminders: true,
+    digests: true,
+    url: null,
+    secret: null,
+  },
+};
+
+const MAX_PUSH_TOKENS = 10;
+
+const channelSettingsOf = (user) => {
+  const settings = {};
+  for (const name of Object.keys(CHANNELS)) {
+    settings[name] = {
+      ...DEFAULT_CHANNEL_SETTINGS[name],
+      ...user?.notificationChannels?.[name],
+    };
+  }
+  return settings;
+};
+
+// Merges a partial update into the user's settings. Push tokens are
+// managed through addPushToken / removePushToken instead. Returns
+// { settings } or { error }.
+const parseChannelSettings = async (input, user) => {
+  if (!input || typeof input !== "object") {
+    return { error: "Invalid notification settings" };
+  }
+
+  const settings = channelSettingsOf(user);
+
+  for (const [name, patch] of Object.entries(input)) {
+    if (!CHANNELS[name]) return { error: `Unknown channel: ${name}` };
+    if (!patch || typeof patch !== "object") {
+      return { error: `Invalid ${name} settings` };
+    }
+
+    for (const key of ["enabled", ...NOTIFICATION_TYPES]) {
+      if (patch[key] === undefined) continue;
+      if (typeof patch[key] !== "boolean") {
+        return { error: `${name}.${key} must be boolean` };
+      }
+      settings[name][key] = patch[key];
+    }
+
+    if (name === "email" && patch.address !== undefined) {
+      if (
+        patch.address !== null &&
+        !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(patch.address)
+      ) {
+        return { error: "Invalid email address" };
+      }
+      settings.email.address = patch.address;
+    }
+
+    if (name === "webhook") {
+      if (patch.url !== undefined) {
+        if (patch.url !== null) {
+          const checked = await checkPublicUrl(patch.url);
+          if (checked.error) return { error: `Webhook ${checked.error}` };
+        }
+        settings.webhook.url = patch.url;
+      }
+      // Every webhook gets a signing secret; rotateSecret issues a new one
+      if (
+        settings.webhook.url &&
+        (!settings.webhook.secret || patch.rotateSecret === true)
+      ) {
+        settings.webhook.secret = crypto.randomBytes(24).toString("hex");
+      }
+    }
+  }
+
+  if (settings.email.enabled && !settings.email.address && !user?.email) {
+    return { error: "Email channel needs an address" };
+  }
+  if (settings.webhook.enabled && !settings.webhook.url) {
+    return { error: "Webhook channel needs a URL" };
+  }
+
+  return { settings };
+};
+
+async function addPushToken(db, uid, token) {
+  if (typeof token !== "string" || token.length < 20 || token.length > 4096) {
+    return { error: "Invalid push token" };
+  }
+
+  const user = await db.collection("users").findOne({ uid });
+  const tokens = channelSettingsOf(user).push.tokens.filter((t) => t !== token);
+  // Newest first; browsers that haven't registered in a while fall off
+  tokens.unshift(token);
+  const kept = tokens.slice(0, MAX_PUSH_TOKENS);
+
+  await db.collection("users").updateOne(
+    { uid },
+    {
+      $set: {
+        "notificationChannels.push.tokens": kept,
+        updatedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  return { tokens: kept.length };
+}
+
+async function removePushToken(db, uid, token) {
+  const result = await db
+    .collection("users")
+    .updateOne(
+      { uid },
+      { $pull: { "notificationChannels.push.tokens": token } }
+    );
+  return result.modifiedCount > 0;
+}
+
+// 4xx answers (except timeouts and rate limits) won't change on retry
+const isPermanent = (err) => {
+  if (err.permanent) return true;
+  const status = err.response?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+};
+
+// One attempt at one target. Failures aren't retried here - the cron
+// can't wait on a dead endpoint - but come back marked `retryable` for
+// the reminder ledger to try again on a later tick. Returns
+// { channel, target, ok, retryable?, error? }.
+async function sendToTarget(db, user, channel, target, notification, settings) {
+  try {
+    await channel.send(target, notification, settings);
+    console.log(`✅ ${channel.name} notification sent to ${target}`);
+    return { channel: channel.name, target, ok: true };
+  } catch (err) {
+    const error = err.response?.data?.description || err.message;
+    console.error(`❌ ${channel.name} send to ${target} failed:`, error);
+
+    const permanent = isPermanent(err);
+    if (permanent && channel.prune) await channel.prune(db, user, target);
+    return {
+      channel: channel.name,
+      target,
+      ok: false,
+      retryable: !permanent,
+      error,
+    };
+  }
+}
+
+// Sends `notification` on every channel the user enabled for its type,
+// or only to `targets` ([{ channel, target }]) when retrying. Returns one
+// outcome per target - the shape recordDelivery() stores.
+async function dispatchNotification(db, uid, notification, { targets } = {}) {
+  const user = (await db.collection("users").findOne({ uid })) || { uid };
+  const settings = channelSettingsOf(user);
+  const full = {
+    ...notification,
+    uid,
+    title: notification.title || notification.text.split("\n")[0],
+  };
+
+  const results = [];
+  for (const channel of Object.values(CHANNELS)) {
+    const channelSettings = settings[channel.name];
+    if (!channelSettings.enabled || channelSettings[full.type] === false) {
+      continue;
+    }
+    if (!channel.isConfigured()) {
+      console.log(`⚠️ ${channel.name} channel is not configured, skipping`);
+      continue;
+    }
+
+    const channelTargets = (
+      await channel.targets(db, user, full, channelSettings)
+    ).filter(
+      (target) =>
+        !targets ||
+        targets.some(
+          (t) =>
+            t.channel === channel.name && String(t.target) === String(target)
+        )
+    );
+    for (const target of channelTargets) {
+      results.push(
+        await sendToTarget(db, user, channel, target, full, channelSettings)
+      );
+    }
+  }
+
+  if (results.length === 0) {
+    console.log(`⚠️ No notification targets for user ${uid}`);
+  }
+  return results;
+}
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_CHANNEL_SETTINGS,
+  channelSettingsOf,
+  parseChannelSettings,
+  addPushToken,
+  removePushToken,
+  dispatchNotification,
+};
@@ -0,0 +1,128 @@
+// utils/pressure.js
+// Weighted workload model behind /api/pressure-calculate. Every open task
+// with an upcoming deadline contributes
+//   priority weight × effort weight × deadline proximity weight
+// A medium-priority, one-hour task due in three days contributes exactly 1,
+// so the user's low/medium/high/critical thresholds keep their old meaning
+// of "roughly this many ordinary tasks".
+const { isOpen, isOverdue } = require("./taskStatus");
+const { DEFAULT_PRIORITY } = require("./taskAttributes");
+const { zonedParts } = require("./timezone");
+
+const DEFAULT_PRESSURE_SETTINGS = {
+  low: 3,
+  medium: 5,
+  high: 7,
+  critical: 8,
+};
+
+const PRIORITY_WEIGHTS = { low: 0.5, medium: 1, high: 1.5, urgent: 2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Tasks without an estimate count as one hour
+const effortWeight = (minutes) => {
+  if (!minutes) return 1;
+  return Math.min(3, Math.max(0.5, Math.sqrt(minutes / 60)));
+};
+
+// 2 for today, 1 at three days out, fading to 0.2 for distant deadlines
+const proximityWeight = (deadline, now) => {
+  const daysLeft = Math.max(0, (deadline - now) / DAY_MS);
+  return Math.max(0.2, 2 / (1 + daysLeft / 3));
+};
+
+const pressureLevelFor = (score, settings) => {
+  if (score <= settings.low) {
+    return { pressureLevel: "Low", pressureColor: "green" };
+  }
+  if (score <= settings.medium) {
+    return { pressureLevel: "Medium", pressureColor: "yellow" };
+  }
+  if (score <= settings.high) {
+    return { pressureLevel: "High", pressureColor: "orange" };
+  }
+  return { pressureLevel: "Critical", pressureColor: "red" };
+};
+
+// Open tasks due today or later, "today" on the user's clock
+const upcomingTasksOf = (tasks, now, timeZone) => {
+  const today = zonedParts(now, timeZone).dateKey;
+
+  return tasks.filter((t) => {
+    if (!t.deadline || !isOpen(t)) return false;
+    const deadline = new Date(t.deadline);
+    return !isNaN(deadline) && zonedParts(deadline, timeZone).dateKey >= today;
+  });
+};
+
+// Thresholds must be numbers in ascending order. Returns { settings } or
+// { error }.
+const parsePressureSettings = (settings) => {
+  if (
+    !settings ||
+    typeof settings.low !== "number" ||
+    typeof settings.medium !== "number" ||
+    typeof settings.high !== "number" ||
+    typeof settings.critical !== "number"
+  ) {
+    return { error: "Invalid settings format" };
+  }
+
+  if (
+    settings.low >= settings.medium ||
+    settings.medium >= settings.high ||
+    settings.high >= settings.critical
+  ) {
+    return {
+      error:
+        "Settings must be in ascending order: low < medium < high < critical",
+    };
+  }
+
+  const { low, medium, high, critical } = settings;
+  return { settings: { low, medium, high, critical } };
+};
+
+// `timeZone` is the user's, for what counts as today
+function calculatePressure(tasks, settings, now = new Date(), timeZone) {
+  const upcoming = upcomingTasksOf(tasks, now, timeZone);
+
+  const breakdown = upcoming
+    .map((t) => {
+      const priority = t.priority || DEFAULT_PRIORITY;
+      const weights = {
+        priority: PRIORITY_WEIGHTS[priority] ?? 1,
+        effort: round(effortWeight(t.estimatedMinutes)),
+        proximity: round(proximityWeight(new Date(t.deadline), now)),
+      };
+      return {
+        taskId: t._id,
+        title: t.title,
+        category: t.category,
+        deadline: t.deadline,
+        priority,
+        estimatedMinutes: t.estimatedMinutes || null,
+        weights,
+        score: round(weights.priority * weights.effort * weights.proximity),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const score = round(breakdown.reduce((sum, b) => sum + b.score, 0));
+
+  return {
+    score,
+    taskCount: upcoming.length,
+    overdueCount: tasks.filter((t) => isOverdue(t, now)).length,
+    ...pressureLevelFor(score, settings),
+    breakdown,
+  };
+}
+
+module.exports = {
+  DEFAULT_PRESSURE_SETTINGS,
+  parsePressureSettings,
+  calculatePressure,
+};
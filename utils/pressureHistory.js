@@ -0,0 +1,164 @@
+// utils/pressureHistory.js
+// Daily snapshots of each user's workload, one document per user per day:
+//   { uid, date: "2025-11-20", score, pressureLevel, taskCount, openCount,
+//     createdCount, completedCount, overdueCount, recordedAt }
+// A user's snapshot is taken at 23:55 on their own clock and keyed by
+// their calendar day.
+const { isOpen } = require("./taskStatus");
+const { DEFAULT_PRESSURE_SETTINGS, calculatePressure } = require("./pressure");
+const { zonedParts } = require("./timezone");
+
+const COLLECTION = "pressure_history";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_MINUTES = 23 * 60 + 55;
+
+const history = (db) => db.collection(COLLECTION);
+
+// Local calendar day as YYYY-MM-DD
+const dayKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Monday of the snapshot's week
+const weekKey = (date) => {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return dayKey(d);
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+async function ensurePressureHistoryIndexes(db) {
+  await history(db).createIndex({ uid: 1, date: 1 }, { unique: true });
+}
+
+const snapshotFor = (userTasks, settings, now, timeZone) => {
+  const today = zonedParts(now, timeZone).dateKey;
+  const sameDay = (value) =>
+    value && zonedParts(new Date(value), timeZone).dateKey === today;
+
+  const pressure = calculatePressure(userTasks, settings, now, timeZone);
+  const open = userTasks.filter(isOpen);
+
+  return {
+    score: pressure.score,
+    pressureLevel: pressure.pressureLevel,
+    taskCount: pressure.taskCount,
+    openCount: open.length,
+    createdCount: userTasks.filter((t) => sameDay(t.createdAt)).length,
+    completedCount: userTasks.filter(
+      (t) => t.status === "done" && sameDay(t.completedAt)
+    ).length,
+    overdueCount: pressure.overdueCount,
+  };
+};
+
+// True in the last minutes of the user's day, from 23:55 to midnight
+const isSnapshotDue = (user, now) => {
+  const local = zonedParts(now, user.timezone || undefined);
+  return local.hour * 60 + local.minute >= SNAPSHOT_MINUTES;
+};
+
+// Upserts today's snapshot for every user whose day is ending. Run it
+// every 5 minutes so every time zone gets its turn; safe to run more
+// than once.
+async function recordPressureSnapshots(db, now = new Date()) {
+  const allUsers = await db.collection("users").find({}).toArray();
+  const due = allUsers.filter((user) => isSnapshotDue(user, now));
+
+  for (const user of due) {
+    const timeZone = user.timezone || undefined;
+    const userTasks = await db
+      .collection("tasks")
+      .find({ uid: user.uid })
+      .toArray();
+    const snapshot = snapshotFor(
+      userTasks,
+      user.pressureSettings || DEFAULT_PRESSURE_SETTINGS,
+      now,
+      timeZone
+    );
+
+    await history(db).updateOne(
+      { uid: user.uid, date: zonedParts(now, timeZone).dateKey },
+      { $set: { ...snapshot, recordedAt: now } },
+      { upsert: true }
+    );
+  }
+
+  if (due.length) {
+    console.log(`📈 Pressure snapshots recorded for ${due.length} users`);
+  }
+  return due.length;
+}
+
+const aggregate = (series, keyFn) => {
+  const groups = new Map();
+  for (const point of series) {
+    const key = keyFn(point.date);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(point);
+  }
+
+  return [...groups.entries()].map(([period, points]) => {
+    const sum = (field) => points.reduce((acc, p) => acc + (p[field] || 0), 0);
+    return {
+      period,
+      days: points.length,
+      avgScore: round(sum("score") / points.length),
+      maxScore: Math.max(...points.map((p) => p.score)),
+      created: sum("createdCount"),
+      completed: sum("completedCount"),
+      avgOverdue: round(sum("overdueCount") / points.length),
+    };
+  });
+};
+
+// Least-squares slope of the daily score, in score points per day
+const trendOf = (series) => {
+  if (series.length < 2) return { direction: "flat", slope: 0 };
+
+  const n = series.length;
+  const xs = series.map((p) => new Date(`${p.date}T00:00:00`) / DAY_MS);
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = series.reduce((a, p) => a + p.score, 0) / n;
+
+  let num = 0;
+  let den = 0;
+  series.forEach((p, i) => {
+    num += (xs[i] - meanX) * (p.score - meanY);
+    den += (xs[i] - meanX) ** 2;
+  });
+
+  const slope = den ? num / den : 0;
+  let direction = "flat";
+  if (slope > 0.05) direction = "up";
+  else if (slope < -0.05) direction = "down";
+  return { direction, slope: round(slope) };
+};
+
+async function getPressureHistory(db, uid, from, to) {
+  const series = await history(db)
+    .find({ uid, date: { $gte: dayKey(from), $lte: dayKey(to) } })
+    .sort({ date: 1 })
+    .project({ _id: 0, uid: 0 })
+    .toArray();
+
+  return {
+    from: dayKey(from),
+    to: dayKey(to),
+    series,
+    weekly: aggregate(series, weekKey),
+    monthly: aggregate(series, (date) => date.slice(0, 7)),
+    trend: trendOf(series),
+  };
+}
+
+module.exports = {
+  ensurePressureHistoryIndexes,
+  recordPressureSnapshots,
+  getPressureHistory,
+};
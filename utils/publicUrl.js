@@ -0,0 +1,102 @@
+// utils/publicUrl.js
+// Guards for URLs the server fetches on a user's behalf (webhooks), so
+// they can't be pointed at the server's own network: loopback, private,
+// link-local (cloud metadata at 169.254.169.254) and similar ranges are
+// refused. Checked when the URL is saved and again on every send, with
+// the address actually connected to, so a DNS change can't slip past.
+//
+// WEBHOOK_ALLOW_PRIVATE=true lifts the check, for the local notification
+// sink in development.
+const dns = require("dns");
+const net = require("net");
+
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+// True for addresses outside the public internet
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// dns.lookup() that fails for private addresses. Passed to the HTTP
+// client, so the check applies to the connection itself.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = !allowPrivate()
+      ? addresses.find((a) => isPrivateAddress(a.address))
+      : null;
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to a private address`);
+      error.code = "EPRIVATEADDRESS";
+      return callback(error);
+    }
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Validates an http(s) URL that must reach the public internet. Returns
+// { url } or { error }.
+async function checkPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { error: "Invalid URL" };
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return { error: "URL must be http(s)" };
+  }
+  if (allowPrivate()) return { url };
+
+  // IPv6 hosts come in brackets
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) {
+    return isPrivateAddress(host)
+      ? { error: "URL points to a private address" }
+      : { url };
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      return { error: "URL points to a private address" };
+    }
+  } catch {
+    return { error: `Cannot resolve ${host}` };
+  }
+  return { url };
+}
+
+module.exports = { isPrivateAddress, publicLookup, checkPublicUrl };
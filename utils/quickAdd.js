@@ -0,0 +1,37 @@
+// utils/quickAdd.js
+// Parses the Telegram shorthand "/add <title> <when> #category", e.g.
+//   /add Submit report tomorrow 5pm #Work
+//   /add Call mom in 2h
+//   /add Pay rent 28 Nov #Finance
+//   /add Bazar kal shondhay 7 ta
+// <when> is anything utils/dateExpression understands, anywhere in the
+// text. It is optional and defaults to tomorrow 09:00.
+const { zonedParts, zonedTimeToUtc, addDays } = require("./timezone");
+const { extractDateExpression } = require("./dateExpression");
+
+// Returns { title, deadline, category } or { error }. category is null
+// when no #tag was given. Dates are read on the clock of `timeZone`.
+function parseQuickAdd(text, { now = new Date(), timeZone } = {}) {
+  const words = String(text || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const tag = words.find((w) => /^#\S+$/.test(w));
+  const category = tag ? tag.slice(1) : null;
+  const rest = words.filter((w) => w !== tag).join(" ");
+
+  const when = extractDateExpression(rest, { now, timeZone });
+  const title = when ? when.rest : rest;
+  if (!title) return { error: "Missing task title" };
+
+  let deadline = when?.deadline;
+  if (!deadline) {
+    const tomorrow = addDays(zonedParts(now, timeZone).dateKey, 1);
+    deadline = zonedTimeToUtc(tomorrow, 9 * 60, timeZone);
+  }
+
+  return { title, deadline, category };
+}
+
+module.exports = { parseQuickAdd };
@@ -0,0 +1,79 @@
+// utils/quietHours.js
+// Quiet hours on the user document:
+//   quietHours: { enabled: true, start: "22:00", end: "07:00" }
+// Wall-clock times in the user's `timezone`; the window may span midnight.
+// Notifications that fall inside are deferred to its end, except for
+// urgent tasks.
+const {
+  zonedParts,
+  zonedTimeToUtc,
+  addDays,
+  parseClockTime,
+} = require("./timezone");
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: "22:00", end: "07:00" };
+
+const quietHoursOf = (user) => ({
+  ...DEFAULT_QUIET_HOURS,
+  ...user?.quietHours,
+});
+
+// Merges a partial update. Returns { settings } or { error }.
+const parseQuietHours = (input, user) => {
+  if (!input || typeof input !== "object") {
+    return { error: "Invalid quiet hours" };
+  }
+
+  const settings = quietHoursOf(user);
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== "boolean") {
+      return { error: "enabled must be boolean" };
+    }
+    settings.enabled = input.enabled;
+  }
+  for (const key of ["start", "end"]) {
+    if (input[key] === undefined) continue;
+    if (parseClockTime(input[key]) === null) {
+      return { error: `${key} must be HH:MM` };
+    }
+    settings[key] = input[key];
+  }
+  if (settings.start === settings.end) {
+    return { error: "start and end must differ" };
+  }
+
+  return { settings };
+};
+
+// Urgent tasks get through quiet hours
+const bypassesQuietHours = (task) => task?.priority === "urgent";
+
+// If `now` is inside the user's quiet hours, the moment they end;
+// otherwise null
+const quietHoursEnd = (user, now = new Date()) => {
+  const settings = quietHoursOf(user);
+  if (!settings.enabled) return null;
+
+  const start = parseClockTime(settings.start);
+  const end = parseClockTime(settings.end);
+  const local = zonedParts(now, user.timezone);
+  const minutes = local.hour * 60 + local.minute;
+
+  const inside =
+    start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  if (!inside) return null;
+
+  // Past midnight the window ends today, before it tomorrow
+  const endDay = minutes < end ? local.dateKey : addDays(local.dateKey, 1);
+  return zonedTimeToUtc(endDay, end, user.timezone);
+};
+
+module.exports = {
+  DEFAULT_QUIET_HOURS,
+  quietHoursOf,
+  parseQuietHours,
+  bypassesQuietHours,
+  quietHoursEnd,
+};
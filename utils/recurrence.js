@@ -0,0 +1,273 @@
+// utils/recurrence.js
+// Recurring task schedules. A rule looks like
+//   { freq: "daily" | "weekly" | "monthly", interval: 1, byWeekday: [1, 3],
+//     until: "2025-12-31T00:00:00.000Z", count: 10 }
+// and can also be given as an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE").
+// "Every N days" is { freq: "daily", interval: N }.
+//
+// Every occurrence is its own task document sharing a seriesId. Only one
+// occurrence of a series is open at a time; the next one is materialized
+// when the current one is completed or its deadline passes.
+const { ObjectId } = require("mongodb");
+const { zonedParts, zonedTimeToUtc, addDays } = require("./timezone");
+
+const FREQS = ["daily", "weekly", "monthly"];
+const RRULE_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseRRule = (str) => {
+  const rule = {};
+  for (const part of str.replace(/^RRULE:/i, "").split(";")) {
+    const [key, value = ""] = part.split("=");
+    switch (key.trim().toUpperCase()) {
+      case "FREQ":
+        rule.freq = value.toLowerCase();
+        break;
+      case "INTERVAL":
+        rule.interval = Number(value);
+        break;
+      case "COUNT":
+        rule.count = Number(value);
+        break;
+      case "UNTIL": {
+        // 20251231T000000Z or 20251231
+        const m = value.match(
+          /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/
+        );
+        rule.until = m
+          ? `${m[1]}-${m[2]}-${m[3]}T${m[4] || "23"}:${m[5] || "59"}:${m[6] || "59"}Z`
+          : value;
+        break;
+      }
+      case "BYDAY":
+        rule.byWeekday = value
+          .split(",")
+          .map((d) => RRULE_DAYS.indexOf(d.trim().toUpperCase()));
+        break;
+    }
+  }
+  return rule;
+};
+
+// Accepts an object, a JSON string or an RRULE string. Returns a normalized
+// rule, or null when the input is not a valid schedule.
+const parseRecurrence = (input) => {
+  let rule = input;
+
+  if (typeof input === "string") {
+    const trimmed = input.trim();
+    if (trimmed.startsWith("{")) {
+      try {
+        rule = JSON.parse(trimmed);
+      } catch {
+        return null;
+      }
+    } else {
+      rule = parseRRule(trimmed);
+    }
+  }
+
+  if (!rule || typeof rule !== "object") return null;
+
+  const freq = String(rule.freq || "").toLowerCase();
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!FREQS.includes(freq)) return null;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return null;
+  }
+
+  const normalized = { freq, interval };
+
+  if (rule.byWeekday !== undefined && freq === "weekly") {
+    const days = Array.isArray(rule.byWeekday) ? rule.byWeekday : [];
+    if (
+      !days.length ||
+      days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)
+    ) {
+      return null;
+    }
+    normalized.byWeekday = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (rule.count !== undefined && rule.count !== null) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1) return null;
+    normalized.count = count;
+  }
+
+  if (rule.until !== undefined && rule.until !== null) {
+    const until = new Date(rule.until);
+    if (isNaN(until)) return null;
+    normalized.until = until.toISOString();
+  }
+
+  return normalized;
+};
+
+// Weekday of a "2025-11-20" date, 0 = Sunday
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const startOfWeek = (dateKey) => addDays(dateKey, -weekdayOf(dateKey));
+
+// Monthly occurrences keep the series' day of month, clamped to short months
+const addMonthsClamped = (dateKey, months, day) => {
+  const [y, m] = dateKey.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(y, m + months, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(day, lastDay)))
+    .toISOString()
+    .slice(0, 10);
+};
+
+// The occurrence right after `scheduledFor`, or null once the series ends.
+// Days, weeks and months are counted on the owner's calendar in
+// `timeZone`, and every occurrence keeps the wall-clock time of the one
+// before it, across DST changes too.
+const nextOccurrence = (
+  rule,
+  { seriesStart, scheduledFor, occurrenceIndex },
+  timeZone
+) => {
+  if (rule.count && occurrenceIndex >= rule.count) return null;
+
+  const prevDate = new Date(scheduledFor);
+  const prev = zonedParts(prevDate, timeZone);
+  const start = zonedParts(new Date(seriesStart), timeZone);
+  let nextKey;
+
+  if (rule.freq === "daily") {
+    nextKey = addDays(prev.dateKey, rule.interval);
+  } else if (rule.freq === "monthly") {
+    nextKey = addMonthsClamped(
+      prev.dateKey,
+      rule.interval,
+      Number(start.dateKey.slice(8))
+    );
+  } else if (!rule.byWeekday) {
+    nextKey = addDays(prev.dateKey, 7 * rule.interval);
+  } else {
+    const anchorWeek = Date.parse(startOfWeek(start.dateKey));
+    for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+      const candidate = addDays(prev.dateKey, i);
+      const weeks = Math.round(
+        (Date.parse(startOfWeek(candidate)) - anchorWeek) / (7 * DAY_MS)
+      );
+      if (
+        weeks % rule.interval === 0 &&
+        rule.byWeekday.includes(weekdayOf(candidate))
+      ) {
+        nextKey = candidate;
+        break;
+      }
+    }
+  }
+
+  if (!nextKey) return null;
+  const next = new Date(
+    zonedTimeToUtc(nextKey, prev.hour * 60 + prev.minute, timeZone).getTime() +
+      (prevDate.getTime() % 60000)
+  );
+  if (rule.until && next > new Date(rule.until)) return null;
+  return { scheduledFor: next, occurrenceIndex: occurrenceIndex + 1 };
+};
+
+// Fields a brand-new recurring task starts with
+const seriesFields = (id, recurrence, deadline) => ({
+  recurrence,
+  seriesId: id,
+  seriesStart: new Date(deadline),
+  scheduledFor: new Date(deadline),
+  occurrenceIndex: 1,
+});
+
+// Creates the next open occurrence of `task`'s series, skipping any that
+// are already in the past. Claims the task first so concurrent callers
+// (scheduler on another instance, completion endpoint) create it only once.
+// Returns the new task document, or null. Pass `session` to run inside a
+// transaction; `timeZone` saves looking up the owner's.
+async function materializeNextOccurrence(
+  db,
+  task,
+  now = new Date(),
+  { session, timeZone } = {}
+) {
+  if (!task.recurrence || task.nextOccurrenceId) return null;
+
+  if (timeZone === undefined) {
+    const owner = await db
+      .collection("users")
+      .findOne({ uid: task.uid }, { projection: { timezone: 1 }, session });
+    timeZone = owner?.timezone || undefined;
+  }
+
+  let next = nextOccurrence(
+    task.recurrence,
+    {
+      seriesStart: task.seriesStart || task.deadline,
+      scheduledFor: task.scheduledFor || task.deadline,
+      occurrenceIndex: task.occurrenceIndex || 1,
+    },
+    timeZone
+  );
+  while (next && next.scheduledFor <= now) {
+    next = nextOccurrence(
+      task.recurrence,
+      { seriesStart: task.seriesStart || task.deadline, ...next },
+      timeZone
+    );
+  }
+
+  const tasks = db.collection("tasks");
+  const nextId = new ObjectId();
+
+  const claimed = await tasks.updateOne(
+    { _id: task._id, nextOccurrenceId: { $exists: false } },
+    { $set: { nextOccurrenceId: next ? nextId : null } },
+    { session }
+  );
+  if (!claimed.modifiedCount || !next) return null;
+
+  const doc = {
+    _id: nextId,
+    uid: task.uid,
+    title: task.title,
+    category: task.category,
+    priority: task.priority,
+    tags: task.tags,
+    estimatedMinutes: task.estimatedMinutes,
+    deadline: next.scheduledFor.toISOString(),
+    file: null,
+    ...(task.reminderOffsets && { reminderOffsets: task.reminderOffsets }),
+    // The checklist carries over, unticked
+    ...(task.subtasks && {
+      subtasks: task.subtasks.map((s) => ({
+        _id: new ObjectId(),
+        title: s.title,
+        done: false,
+        deadline: null,
+        createdAt: new Date(),
+      })),
+    }),
+    ...(task.autoComplete === false && { autoComplete: false }),
+    recurrence: task.recurrence,
+    seriesId: task.seriesId || task._id,
+    seriesStart: task.seriesStart || new Date(task.deadline),
+    scheduledFor: next.scheduledFor,
+    occurrenceIndex: next.occurrenceIndex,
+    status: "todo",
+    createdAt: new Date(),
+  };
+  await tasks.insertOne(doc, { session });
+
+  console.log(
+    `🔁 Next occurrence #${doc.occurrenceIndex} of "${task.title}" created:`,
+    doc.deadline
+  );
+  return doc;
+}
+
+module.exports = {
+  parseRecurrence,
+  nextOccurrence,
+  seriesFields,
+  materializeNextOccurrence,
+};
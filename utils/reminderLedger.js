@@ -0,0 +1,257 @@
+// utils/reminderLedger.js
+// MongoDB-backed ledger of scheduled reminders. Every reminder gets one
+// document keyed by task + kind + scheduled time, so a reminder is claimed
+// and delivered by exactly one server instance, even across restarts.
+// Targets that failed for a passing reason (timeouts, 5xx, rate limits)
+// get `retryAt` and are sent again by a later cron tick, so a dead
+// endpoint never holds up the run.
+const os = require("os");
+
+const COLLECTION = "reminder_ledger";
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+// How long a claim is held before another instance may retry it
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+// Retries wait 1 minute, then 4
+const RETRY_BASE_MS = Number(process.env.NOTIFY_RETRY_BASE_MS) || 60 * 1000;
+// Ledger entries are kept for 90 days, then MongoDB removes them
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const ledger = (db) => db.collection(COLLECTION);
+
+async function ensureLedgerIndexes(db) {
+  await ledger(db).createIndex(
+    { taskId: 1, kind: 1, scheduledFor: 1 },
+    { unique: true, name: "reminder_unique" }
+  );
+  await ledger(db).createIndex({ uid: 1, taskId: 1, createdAt: -1 });
+  await ledger(db).createIndex(
+    { createdAt: 1 },
+    { expireAfterSeconds: RETENTION_SECONDS }
+  );
+  await ledger(db).createIndex(
+    { deferredUntil: 1, status: 1 },
+    { partialFilterExpression: { deferredUntil: { $exists: true } } }
+  );
+  await ledger(db).createIndex(
+    { retryAt: 1 },
+    { partialFilterExpression: { retryAt: { $exists: true } } }
+  );
+}
+
+// Returns the ledger entry if this instance won the claim, otherwise null
+// (already sent or failed, or being sent by another instance). Failed
+// sends are retried through claimDeferredReminder().
+async function claimReminder(db, { task, kind = "deadline", scheduledFor }) {
+  const now = new Date();
+  const key = {
+    taskId: task._id.toString(),
+    kind,
+    scheduledFor: new Date(scheduledFor),
+  };
+
+  try {
+    await ledger(db).updateOne(
+      key,
+      {
+        $setOnInsert: {
+          ...key,
+          uid: task.uid,
+          title: task.title,
+          status: "pending",
+          attemptCount: 0,
+          attempts: [],
+          channels: {},
+          lockedBy: null,
+          lockedUntil: null,
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    // Two instances upserting the same reminder at once - the loser just
+    // falls through to the claim below.
+    if (err.code !== 11000) throw err;
+  }
+
+  return ledger(db).findOneAndUpdate(
+    {
+      ...key,
+      status: { $in: ["pending", "sending"] },
+      attemptCount: { $lt: MAX_ATTEMPTS },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        status: "sending",
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + CLAIM_LEASE_MS),
+        updatedAt: now,
+      },
+      $inc: { attemptCount: 1 },
+    },
+    { returnDocument: "after" }
+  );
+}
+
+// Whether the reminder has a ledger entry, whatever its status
+async function hasReminder(db, { task, kind = "deadline", scheduledFor }) {
+  const entry = await ledger(db).findOne(
+    {
+      taskId: task._id.toString(),
+      kind,
+      scheduledFor: new Date(scheduledFor),
+    },
+    { projection: { _id: 1 } }
+  );
+  return !!entry;
+}
+
+// Parks a claimed reminder until `until` (quiet hours), keeping the
+// notification so it can be sent as is. Deferring doesn't use up an attempt.
+async function deferReminder(db, entry, until, notification) {
+  await ledger(db).updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        status: "deferred",
+        deferredUntil: until,
+        notification,
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: new Date(),
+      },
+      $inc: { attemptCount: -1 },
+    }
+  );
+}
+
+// Claims one reminder that is due again - deferred past quiet hours, or
+// with failed targets to retry - or returns null. `retryAt` stays set
+// until the outcome is recorded, so a crash mid-send doesn't lose it.
+async function claimDeferredReminder(db, now = new Date()) {
+  return ledger(db).findOneAndUpdate(
+    {
+      $and: [
+        {
+          $or: [
+            {
+              deferredUntil: { $lte: now },
+              status: { $in: ["deferred", "sending"] },
+            },
+            { retryAt: { $lte: now } },
+          ],
+        },
+        { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      ],
+      attemptCount: { $lt: MAX_ATTEMPTS },
+    },
+    {
+      $set: {
+        status: "sending",
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + CLAIM_LEASE_MS),
+        updatedAt: now,
+      },
+      $inc: { attemptCount: 1 },
+    },
+    { sort: { deferredUntil: 1 }, returnDocument: "after" }
+  );
+}
+
+// results: [{ channel, target, ok, retryable?, error }]. `notification`
+// is kept for the retry of any retryable failures.
+async function recordDelivery(
+  db,
+  entry,
+  results,
+  notification = entry.notification
+) {
+  const now = new Date();
+  const channels = {};
+
+  for (const r of results) {
+    const prev = channels[r.channel];
+    channels[r.channel] = {
+      status: r.ok || prev?.status === "sent" ? "sent" : "failed",
+      sentAt: r.ok ? now : prev?.sentAt || null,
+      error: r.ok ? prev?.error || null : r.error || "Unknown error",
+    };
+  }
+
+  // A retry that fails again doesn't undo an earlier success
+  let status;
+  if (results.length === 0 && !entry.sentAt) status = "skipped";
+  else if (results.some((r) => r.ok) || entry.sentAt) status = "sent";
+  else status = "failed";
+
+  const $set = {
+    status,
+    lockedBy: null,
+    lockedUntil: null,
+    updatedAt: now,
+  };
+  const $unset = {};
+  for (const [channel, outcome] of Object.entries(channels)) {
+    $set[`channels.${channel}`] = outcome;
+  }
+  if (status === "sent" && !entry.sentAt) $set.sentAt = now;
+
+  const retry = results.filter((r) => !r.ok && r.retryable);
+  if (retry.length && entry.attemptCount < MAX_ATTEMPTS && notification) {
+    $set.retryAt = new Date(
+      now.getTime() + RETRY_BASE_MS * 4 ** (entry.attemptCount - 1)
+    );
+    $set.retryTargets = retry.map(({ channel, target }) => ({
+      channel,
+      target,
+    }));
+    $set.notification = notification;
+  } else {
+    $unset.retryAt = "";
+    $unset.retryTargets = "";
+  }
+
+  await ledger(db).updateOne(
+    { _id: entry._id },
+    {
+      $set,
+      ...(Object.keys($unset).length && { $unset }),
+      $push: {
+        attempts: {
+          at: now,
+          instance: INSTANCE_ID,
+          results: results.map((r) => ({
+            channel: r.channel,
+            target: r.target,
+            ok: r.ok,
+            error: r.ok ? null : r.error || "Unknown error",
+          })),
+        },
+      },
+    }
+  );
+
+  return status;
+}
+
+async function getDeliveryHistory(db, uid, taskId) {
+  return ledger(db)
+    .find({ uid, taskId })
+    .sort({ scheduledFor: -1 })
+    .project({ lockedBy: 0, lockedUntil: 0 })
+    .toArray();
+}
+
+module.exports = {
+  ensureLedgerIndexes,
+  claimReminder,
+  hasReminder,
+  deferReminder,
+  claimDeferredReminder,
+  recordDelivery,
+  getDeliveryHistory,
+  MAX_ATTEMPTS,
+};
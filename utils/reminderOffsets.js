@@ -0,0 +1,87 @@
+// utils/reminderOffsets.js
+// Reminder offsets are stored as minutes before the deadline, e.g.
+// [1440, 60, 10] = 1 day, 1 hour and 10 minutes before. 0 = at the deadline.
+
+const DEFAULT_REMINDER_OFFSETS = [0];
+const MAX_OFFSETS = 10;
+const MAX_OFFSET_MINUTES = 30 * 24 * 60;
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+
+// "90" / 90 -> 90, "2h" -> 120, "1d" -> 1440. Returns null when invalid.
+const parseOffset = (value) => {
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? value : null;
+  }
+  if (typeof value !== "string") return null;
+
+  const match = value
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+)\s*([mhdw]?)$/);
+  if (!match) return null;
+  return Number(match[1]) * (UNIT_MINUTES[match[2] || "m"] || 1);
+};
+
+// Accepts an array, a JSON array string or a comma separated string (form
+// uploads send everything as strings). Returns a sorted, de-duplicated
+// array of minutes, or null when any entry is invalid.
+const parseReminderOffsets = (input) => {
+  let list = input;
+
+  if (typeof input === "string") {
+    const trimmed = input.trim();
+    if (!trimmed) return [];
+    if (trimmed.startsWith("[")) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch {
+        return null;
+      }
+    } else {
+      list = trimmed.split(",");
+    }
+  }
+
+  if (!Array.isArray(list) || list.length > MAX_OFFSETS) return null;
+
+  const minutes = [];
+  for (const item of list) {
+    const value = parseOffset(item);
+    if (value === null || value < 0 || value > MAX_OFFSET_MINUTES) {
+      return null;
+    }
+    if (!minutes.includes(value)) minutes.push(value);
+  }
+
+  return minutes.sort((a, b) => b - a);
+};
+
+// 1440 -> "1 day", 90 -> "1 hour 30 min", 0 -> "now"
+const formatOffset = (minutes) => {
+  if (minutes === 0) return "now";
+
+  const parts = [];
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days) parts.push(`${days} day${days > 1 ? "s" : ""}`);
+  if (hours) parts.push(`${hours} hour${hours > 1 ? "s" : ""}`);
+  if (mins) parts.push(`${mins} min`);
+  return parts.join(" ");
+};
+
+// Task offsets win over the user's defaults, which win over the app default
+const resolveReminderOffsets = (task, user) => {
+  if (Array.isArray(task.reminderOffsets)) return task.reminderOffsets;
+  if (Array.isArray(user?.reminderDefaults)) return user.reminderDefaults;
+  return DEFAULT_REMINDER_OFFSETS;
+};
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  parseReminderOffsets,
+  formatOffset,
+  resolveReminderOffsets,
+};
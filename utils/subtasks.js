@@ -0,0 +1,64 @@
+// utils/subtasks.js
+// Checklist items stored inside a task document:
+//   subtasks: [{ _id, title, done, deadline, createdAt, completedAt }]
+// A task auto-completes once every subtask is done, unless the task has
+// `autoComplete: false`.
+const { isOpen } = require("./taskStatus");
+const { materializeNextOccurrence } = require("./recurrence");
+
+// Percentage of done subtasks, or null for tasks without a checklist
+const subtaskProgress = (task) => {
+  const list = task.subtasks || [];
+  if (list.length === 0) return null;
+  const done = list.filter((s) => s.done).length;
+  return Math.round((done / list.length) * 100);
+};
+
+// Completes the parent when its checklist is fully ticked, and reopens it
+// when a subtask is unticked after such an automatic completion.
+// Returns "completed", "reopened" or null.
+async function syncParentStatus(db, task) {
+  const tasks = db.collection("tasks");
+  const progress = subtaskProgress(task);
+
+  if (task.autoComplete === false || progress === null) return null;
+
+  if (progress === 100 && isOpen(task)) {
+    const updated = await tasks.findOneAndUpdate(
+      { _id: task._id, status: task.status },
+      {
+        $set: {
+          status: "done",
+          completedAt: new Date(),
+          completedBy: "subtasks",
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: "after" }
+    );
+    if (!updated) return null;
+    await materializeNextOccurrence(db, updated);
+    console.log("✅ Task auto-completed from subtasks:", task._id.toString());
+    return "completed";
+  }
+
+  if (
+    progress < 100 &&
+    task.status === "done" &&
+    task.completedBy === "subtasks"
+  ) {
+    await tasks.updateOne(
+      { _id: task._id, status: "done" },
+      {
+        $set: { status: "todo", updatedAt: new Date() },
+        $unset: { completedAt: "", completedBy: "" },
+      }
+    );
+    console.log("↩️ Task reopened from subtasks:", task._id.toString());
+    return "reopened";
+  }
+
+  return null;
+}
+
+module.exports = { subtaskProgress, syncParentStatus };
@@ -0,0 +1,102 @@
+// utils/taskAttributes.js
+// Parsers for the optional task attributes: priority, tags and estimated
+// effort. Form uploads send everything as strings, so each parser accepts
+// both raw and stringified input and returns null when it is invalid.
+
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+const DEFAULT_PRIORITY = "medium";
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_ESTIMATE_MINUTES = 7 * 24 * 60;
+
+const parsePriority = (value) => {
+  const priority = String(value).trim().toLowerCase();
+  return PRIORITIES.includes(priority) ? priority : null;
+};
+
+// ["Exam", "#uni"] / '["exam"]' / "exam, uni" -> ["exam", "uni"]
+const parseTags = (input) => {
+  let list = input;
+
+  if (typeof input === "string") {
+    const trimmed = input.trim();
+    if (!trimmed) return [];
+    if (trimmed.startsWith("[")) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch {
+        return null;
+      }
+    } else {
+      list = trimmed.split(",");
+    }
+  }
+
+  if (!Array.isArray(list)) return null;
+
+  const tags = [];
+  for (const item of list) {
+    if (typeof item !== "string") return null;
+    const tag = item.trim().replace(/^#/, "").toLowerCase();
+    if (!tag) continue;
+    if (tag.length > MAX_TAG_LENGTH) return null;
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+
+  return tags.length > MAX_TAGS ? null : tags;
+};
+
+// 90 / "90" -> 90, "2h" -> 120, "1h30m" -> 90. Minutes, or null.
+const parseEstimate = (value) => {
+  let minutes;
+
+  if (typeof value === "number") {
+    minutes = value;
+  } else if (typeof value === "string") {
+    const str = value.trim().toLowerCase();
+    if (/^\d+$/.test(str)) {
+      minutes = Number(str);
+    } else {
+      const match = str.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/);
+      if (!match || (!match[1] && !match[2])) return null;
+      minutes = Number(match[1] || 0) * 60 + Number(match[2] || 0);
+    }
+  } else {
+    return null;
+  }
+
+  if (!Number.isInteger(minutes) || minutes < 1) return null;
+  return minutes > MAX_ESTIMATE_MINUTES ? null : minutes;
+};
+
+// Validates whichever of priority / tags / estimatedMinutes are present.
+// Returns { fields } with the parsed values, or { error }.
+const parseTaskAttributes = (body) => {
+  const fields = {};
+
+  if (body.priority !== undefined) {
+    fields.priority = parsePriority(body.priority);
+    if (!fields.priority) return { error: "Invalid priority" };
+  }
+  if (body.tags !== undefined) {
+    fields.tags = parseTags(body.tags);
+    if (!fields.tags) return { error: "Invalid tags" };
+  }
+  if (body.estimatedMinutes === null || body.estimatedMinutes === "") {
+    fields.estimatedMinutes = null;
+  } else if (body.estimatedMinutes !== undefined) {
+    fields.estimatedMinutes = parseEstimate(body.estimatedMinutes);
+    if (!fields.estimatedMinutes) {
+      return { error: "Invalid estimated duration" };
+    }
+  }
+
+  return { fields };
+};
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_PRIORITY,
+  parseTags,
+  parseTaskAttributes,
+};
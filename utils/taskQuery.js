@@ -0,0 +1,158 @@
+// utils/taskQuery.js
+// Query string -> MongoDB query for GET /api/tasks/:uid
+//   ?category=Work&status=todo,in-progress&tag=exam
+//   &deadlineFrom=2025-11-01&deadlineTo=2025-11-30&q=thesis
+//   &sort=deadline&order=asc&limit=20&cursor=<nextCursor>
+const { ObjectId, BSON } = require("mongodb");
+const { TASK_STATUSES } = require("./taskStatus");
+const { zonedTimeToUtc, addDays } = require("./timezone");
+
+const SORT_FIELDS = ["deadline", "createdAt", "updatedAt", "title"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+async function ensureTaskIndexes(db) {
+  const tasks = db.collection("tasks");
+  await tasks.createIndex({ uid: 1, deadline: 1, _id: 1 });
+  await tasks.createIndex({ uid: 1, createdAt: -1, _id: -1 });
+  await tasks.createIndex({ uid: 1, updatedAt: -1, _id: -1 });
+  await tasks.createIndex({ uid: 1, title: 1, _id: 1 });
+  await tasks.createIndex({ uid: 1, status: 1, deadline: 1 });
+  await tasks.createIndex({ uid: 1, category: 1, deadline: 1 });
+  await tasks.createIndex({ uid: 1, tags: 1 });
+  await tasks.createIndex({ seriesId: 1 }, { sparse: true });
+  await tasks.createIndex({ uid: 1, importedFrom: 1 }, { sparse: true });
+}
+
+// Cursors are opaque to the client: the last row's sort value and _id
+const encodeCursor = (value, id) =>
+  Buffer.from(BSON.EJSON.stringify({ v: value ?? null, id })).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = BSON.EJSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (!(parsed.id instanceof ObjectId)) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Rows strictly after the cursor in (field, _id) order. Missing values
+// sort first ascending and last descending, as MongoDB does.
+const afterCursor = (field, dir, { v, id }) => {
+  const idCmp = dir === 1 ? { $gt: id } : { $lt: id };
+
+  if (v === null) {
+    return dir === 1
+      ? { $or: [{ [field]: null, _id: idCmp }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: idCmp };
+  }
+
+  const valueCmp = dir === 1 ? { $gt: v } : { $lt: v };
+  const or = [{ [field]: valueCmp }, { [field]: v, _id: idCmp }];
+  if (dir === -1) or.push({ [field]: null });
+  return { $or: or };
+};
+
+// Returns { filter, sort, sortField, limit } or { error }
+function buildTaskQuery(uid, query, timeZone) {
+  const filter = { uid };
+  const and = [];
+
+  if (query.category) filter.category = query.category;
+  if (query.tag) filter.tags = String(query.tag).toLowerCase();
+
+  if (query.status) {
+    const statuses = String(query.status).split(",");
+    if (statuses.some((s) => !TASK_STATUSES.includes(s))) {
+      return { error: "Invalid status" };
+    }
+    filter.status = { $in: statuses };
+  }
+
+  // Deadlines are stored as ISO-8601 strings, which sort chronologically.
+  // A bare date is that whole day in `timeZone`: deadlineTo=2025-11-30
+  // runs up to, not including, the start of December 1st.
+  if (query.deadlineFrom || query.deadlineTo) {
+    const range = {};
+    for (const [param, op, dayOp, days] of [
+      ["deadlineFrom", "$gte", "$gte", 0],
+      ["deadlineTo", "$lte", "$lt", 1],
+    ]) {
+      if (!query[param]) continue;
+      const value = String(query[param]);
+      const date = new Date(value);
+      if (isNaN(date)) return { error: `Invalid ${param}` };
+      if (DATE_ONLY.test(value)) {
+        const start = zonedTimeToUtc(addDays(value, days), 0, timeZone);
+        range[dayOp] = start.toISOString();
+      } else {
+        range[op] = date.toISOString();
+      }
+    }
+    filter.deadline = range;
+  }
+
+  if (query.q) {
+    filter.title = { $regex: escapeRegex(String(query.q)), $options: "i" };
+  }
+
+  const sortField = query.sort || "deadline";
+  if (!SORT_FIELDS.includes(sortField)) return { error: "Invalid sort field" };
+  const dir = query.order === "desc" ? -1 : 1;
+
+  // Without limit/cursor the whole list comes back, as it always has
+  let limit = null;
+  if (query.limit !== undefined || query.cursor) {
+    limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: "Invalid limit" };
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(String(query.cursor));
+    if (!cursor) return { error: "Invalid cursor" };
+    and.push(afterCursor(sortField, dir, cursor));
+  }
+
+  if (and.length) filter.$and = and;
+
+  return { filter, sort: { [sortField]: dir, _id: dir }, sortField, limit };
+}
+
+// Runs the query, fetching one extra row to know whether there is more
+async function findTasksPage(db, uid, query) {
+  const user =
+    query.deadlineFrom || query.deadlineTo
+      ? await db.collection("users").findOne({ uid })
+      : null;
+  const built = buildTaskQuery(uid, query, user?.timezone || undefined);
+  if (built.error) return built;
+
+  let cursor = db.collection("tasks").find(built.filter).sort(built.sort);
+  if (built.limit) cursor = cursor.limit(built.limit + 1);
+  const rows = await cursor.toArray();
+
+  const hasMore = !!built.limit && rows.length > built.limit;
+  const page = hasMore ? rows.slice(0, built.limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    tasks: page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(last[built.sortField], last._id) : null,
+  };
+}
+
+module.exports = { ensureTaskIndexes, findTasksPage };
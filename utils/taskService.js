@@ -0,0 +1,390 @@
+// utils/taskService.js
+// Task operations shared by the REST routes, the Telegram bot and the AI
+// assistant, so every entry point validates and updates tasks the same way.
+// Failures come back as { status, error } with an HTTP-style status code.
+const fs = require("fs");
+const path = require("path");
+const { ObjectId } = require("mongodb");
+const { OPEN_STATUSES } = require("./taskStatus");
+const { DEFAULT_PRIORITY, parseTaskAttributes } = require("./taskAttributes");
+const { parseReminderOffsets } = require("./reminderOffsets");
+const {
+  parseRecurrence,
+  seriesFields,
+  materializeNextOccurrence,
+} = require("./recurrence");
+const { zonedParts, zonedTimeToUtc, addDays } = require("./timezone");
+const { resolveDeadline } = require("./dateExpression");
+const { syncTaskToCalendar } = require("./googleCalendar");
+
+const tasks = (db) => db.collection("tasks");
+
+// Deadlines without an explicit offset are read in the user's timezone
+const timeZoneOf = async (db, uid) =>
+  (await db.collection("users").findOne({ uid }))?.timezone;
+
+// from: statuses the transition is allowed from
+const TASK_TRANSITIONS = {
+  complete: {
+    from: OPEN_STATUSES,
+    update: () => ({
+      $set: { status: "done", completedAt: new Date() },
+    }),
+  },
+  reopen: {
+    from: ["done", "archived"],
+    update: () => ({
+      $set: { status: "todo" },
+      $unset: { completedAt: "", completedBy: "", archivedAt: "" },
+    }),
+  },
+  archive: {
+    from: ["todo", "in-progress", "done"],
+    update: () => ({
+      $set: { status: "archived", archivedAt: new Date() },
+    }),
+  },
+};
+
+// The user's category called `name` (any case), the name as given when
+// there is none, or `fallback` without a name
+async function matchCategory(db, uid, name, fallback = "Personal") {
+  if (!name) return fallback;
+  const categories = await db
+    .collection("categories")
+    .find({ $or: [{ uid }, { uid: { $exists: false } }] })
+    .toArray();
+  const match = categories.find(
+    (c) => c.name.toLowerCase() === String(name).toLowerCase()
+  );
+  return match ? match.name : name;
+}
+
+// input: { title, category, deadline, reminderOffsets?, recurrence?,
+//          autoComplete?, priority?, tags?, estimatedMinutes?, file?,
+//          icsUid? }
+// Validates the input into a new task document without saving it.
+// Returns { task } or { status, error }.
+async function buildTask(db, uid, input) {
+  const { title, category, deadline, reminderOffsets, recurrence } = input;
+
+  if (!uid || !title || !category || !deadline) {
+    return { status: 400, error: "Missing fields" };
+  }
+
+  const attributes = parseTaskAttributes(input);
+  if (attributes.error) return { status: 400, error: attributes.error };
+
+  let rule = null;
+  if (recurrence) {
+    rule = parseRecurrence(recurrence);
+    if (!rule) return { status: 400, error: "Invalid recurrence rule" };
+  }
+
+  // Optional - without it the user's default offsets are used
+  let offsets;
+  if (reminderOffsets !== undefined) {
+    offsets = parseReminderOffsets(reminderOffsets);
+    if (!offsets) return { status: 400, error: "Invalid reminder offsets" };
+  }
+
+  // An ISO date or an expression such as "next monday 5pm", read in the
+  // user's timezone and stored as a UTC ISO string (string order is time order)
+  const finalDeadline = resolveDeadline(deadline, {
+    timeZone: await timeZoneOf(db, uid),
+  });
+  if (!finalDeadline) return { status: 400, error: "Invalid deadline" };
+
+  // Recurring tasks are the first occurrence of their own series
+  const taskId = new ObjectId();
+  const task = {
+    _id: taskId,
+    uid,
+    title,
+    category,
+    deadline: finalDeadline,
+    file: input.file || null,
+    priority: DEFAULT_PRIORITY,
+    tags: [],
+    estimatedMinutes: null,
+    ...attributes.fields,
+    ...(offsets && { reminderOffsets: offsets }),
+    // UID of the calendar entry an imported task came from
+    ...(input.icsUid && { icsUid: String(input.icsUid) }),
+    ...(rule && seriesFields(taskId, rule, finalDeadline)),
+    // Auto-complete from subtasks is on unless switched off
+    ...(input.autoComplete !== undefined && {
+      autoComplete:
+        input.autoComplete === true || input.autoComplete === "true",
+    }),
+    status: "todo",
+    createdAt: new Date(),
+  };
+
+  return { task };
+}
+
+// Same input as buildTask(). Returns { task } or { status, error }.
+async function createTask(db, uid, input) {
+  const result = await buildTask(db, uid, input);
+  if (result.error) return result;
+  const { task } = result;
+
+  await tasks(db).insertOne(task);
+  // Not awaited - the calendar catches up in the background
+  syncTaskToCalendar(db, uid, task);
+  console.log("✅ Task created:", task._id);
+  return { task };
+}
+
+// Runs complete / reopen / archive. Returns { task, nextOccurrence } or
+// { status, error }.
+async function transitionTask(db, uid, id, action) {
+  const transition = TASK_TRANSITIONS[action];
+  if (!transition) return { status: 400, error: "Invalid action" };
+  if (!ObjectId.isValid(id)) return { status: 400, error: "Invalid ID" };
+
+  const update = transition.update();
+  update.$set.updatedAt = new Date();
+
+  // Filtering on the current status keeps double clicks harmless
+  const task = await tasks(db).findOneAndUpdate(
+    { _id: new ObjectId(id), uid, status: { $in: transition.from } },
+    update,
+    { returnDocument: "after" }
+  );
+
+  if (!task) {
+    const exists = await tasks(db).findOne({ _id: new ObjectId(id), uid });
+    return exists
+      ? {
+          status: 409,
+          error: `Cannot ${action} a task that is ${exists.status}`,
+        }
+      : { status: 404, error: "Task not found" };
+  }
+
+  // Finishing an occurrence hands over to the next one in its series
+  const nextOccurrence =
+    action === "complete" ? await materializeNextOccurrence(db, task) : null;
+
+  syncTaskToCalendar(db, uid, task);
+  if (nextOccurrence) syncTaskToCalendar(db, uid, nextOccurrence);
+
+  console.log(`✅ Task ${action}:`, id);
+  return { task, nextOccurrence };
+}
+
+// Moves an open task's deadline to tomorrow, keeping its time of day on
+// the user's clock
+async function postponeToTomorrow(db, uid, id) {
+  if (!ObjectId.isValid(id)) return { status: 400, error: "Invalid ID" };
+
+  const task = await tasks(db).findOne({
+    _id: new ObjectId(id),
+    uid,
+    status: { $in: OPEN_STATUSES },
+  });
+  if (!task) return { status: 404, error: "Task not found" };
+
+  const timeZone = await timeZoneOf(db, uid);
+  const current = task.deadline ? new Date(task.deadline) : new Date();
+  if (isNaN(current)) return { status: 400, error: "Invalid deadline" };
+
+  const { hour, minute } = zonedParts(current, timeZone);
+  const tomorrow = addDays(zonedParts(new Date(), timeZone).dateKey, 1);
+  const deadline = zonedTimeToUtc(tomorrow, hour * 60 + minute, timeZone);
+
+  const updated = await tasks(db).findOneAndUpdate(
+    { _id: task._id },
+    {
+      $set: { deadline: deadline.toISOString(), updatedAt: new Date() },
+      $unset: { overdueAt: "" },
+    },
+    { returnDocument: "after" }
+  );
+
+  syncTaskToCalendar(db, uid, updated);
+  console.log("📆 Task moved to tomorrow:", id);
+  return { task: updated };
+}
+
+// Edits title, category, deadline, priority, tags and estimatedMinutes -
+// whichever are given. Recurring tasks are edited as a single occurrence.
+// Returns { task } or { status, error }.
+async function updateTask(db, uid, id, input) {
+  if (!ObjectId.isValid(id)) return { status: 400, error: "Invalid ID" };
+
+  const attributes = parseTaskAttributes(input);
+  if (attributes.error) return { status: 400, error: attributes.error };
+
+  const $set = { ...attributes.fields };
+  const $unset = {};
+  for (const field of ["title", "category"]) {
+    if (input[field] === undefined) continue;
+    const value = String(input[field]).trim();
+    if (!value) return { status: 400, error: `Invalid ${field}` };
+    $set[field] = value;
+  }
+  if (input.deadline !== undefined) {
+    $set.deadline = resolveDeadline(input.deadline, {
+      timeZone: await timeZoneOf(db, uid),
+    });
+    if (!$set.deadline) return { status: 400, error: "Invalid deadline" };
+    // A deadline moved into the future is no longer overdue
+    if (new Date($set.deadline) > new Date()) $unset.overdueAt = "";
+  }
+  if (Object.keys($set).length === 0) {
+    return { status: 400, error: "Nothing to update" };
+  }
+  $set.updatedAt = new Date();
+
+  const task = await tasks(db).findOneAndUpdate(
+    { _id: new ObjectId(id), uid },
+    { $set, ...(Object.keys($unset).length && { $unset }) },
+    { returnDocument: "after" }
+  );
+  if (!task) return { status: 404, error: "Task not found" };
+
+  syncTaskToCalendar(db, uid, task);
+  console.log("✅ Task updated:", id);
+  return { task };
+}
+
+// Deletes one task; an open recurring occurrence hands over to the next
+// one first. Returns { task } (the deleted document) or { status, error }.
+async function deleteTask(db, uid, id) {
+  if (!ObjectId.isValid(id)) return { status: 400, error: "Invalid ID" };
+
+  const task = await tasks(db).findOne({ _id: new ObjectId(id), uid });
+  if (!task) return { status: 404, error: "Task not found" };
+
+  if (task.recurrence && OPEN_STATUSES.includes(task.status)) {
+    await materializeNextOccurrence(db, task);
+  }
+  await tasks(db).deleteOne({ _id: task._id });
+
+  if (task.googleEvent) {
+    syncTaskToCalendar(db, uid, { ...task, deletedAt: new Date() });
+  }
+  if (task.file?.path) {
+    fs.unlink(path.join(__dirname, "..", task.file.path), () => {});
+  }
+
+  console.log("✅ Task deleted:", id);
+  return { task };
+}
+
+// A task can be snoozed this many times before the user has to act on it
+const MAX_SNOOZES = Number(process.env.MAX_SNOOZES) || 5;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+// Asks the scheduler for one more reminder `minutes` from now, without
+// touching the deadline. Each snooze is kept in the task's `snoozes`
+// history: [{ at, minutes, until, source }].
+async function snoozeReminder(db, uid, id, minutes, source = "api") {
+  if (!ObjectId.isValid(id)) return { status: 400, error: "Invalid ID" };
+  if (
+    !Number.isInteger(minutes) ||
+    minutes < 1 ||
+    minutes > MAX_SNOOZE_MINUTES
+  ) {
+    return {
+      status: 400,
+      error: `minutes must be a whole number from 1 to ${MAX_SNOOZE_MINUTES}`,
+    };
+  }
+
+  const now = new Date();
+  const snoozedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+  // The count check is part of the filter, so parallel snoozes can't
+  // overshoot the limit
+  const task = await tasks(db).findOneAndUpdate(
+    {
+      _id: new ObjectId(id),
+      uid,
+      status: { $in: OPEN_STATUSES },
+      snoozeCount: { $not: { $gte: MAX_SNOOZES } },
+    },
+    {
+      $set: { snoozedUntil, updatedAt: now },
+      $inc: { snoozeCount: 1 },
+      $push: { snoozes: { at: now, minutes, until: snoozedUntil, source } },
+    },
+    { returnDocument: "after" }
+  );
+
+  if (!task) {
+    const exists = await tasks(db).findOne({ _id: new ObjectId(id), uid });
+    if (!exists) return { status: 404, error: "Task not found" };
+    if (!OPEN_STATUSES.includes(exists.status)) {
+      return {
+        status: 409,
+        error: `Cannot snooze a task that is ${exists.status}`,
+      };
+    }
+    return {
+      status: 409,
+      error: `Snooze limit reached (${MAX_SNOOZES} per task)`,
+    };
+  }
+
+  console.log(`💤 Task snoozed for ${minutes} min:`, id);
+  return {
+    task,
+    snoozedUntil,
+    snoozesLeft: Math.max(0, MAX_SNOOZES - task.snoozeCount),
+  };
+}
+
+// Older tasks stored "2025-11-20T09:00:00" without an offset, which the
+// server read in its own timezone, and the old AI chat stored BSON Dates,
+// which string comparisons (overdue counts, deadline ranges) never match.
+// One-off, idempotent rewrite of both to UTC ISO strings, keeping the
+// instant the server has always used.
+async function migrateNaiveDeadlines(db) {
+  const naive = await tasks(db)
+    .find(
+      {
+        $or: [
+          {
+            deadline: {
+              $regex: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/,
+            },
+          },
+          { deadline: { $type: "date" } },
+        ],
+      },
+      { projection: { deadline: 1 } }
+    )
+    .toArray();
+
+  const ops = naive
+    .filter((task) => !isNaN(new Date(task.deadline)))
+    .map((task) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { deadline: new Date(task.deadline).toISOString() } },
+      },
+    }));
+  if (ops.length === 0) return 0;
+
+  await tasks(db).bulkWrite(ops, { ordered: false });
+  console.log(`🔄 Converted ${ops.length} task deadlines to UTC`);
+  return ops.length;
+}
+
+module.exports = {
+  TASK_TRANSITIONS,
+  MAX_SNOOZES,
+  matchCategory,
+  buildTask,
+  createTask,
+  transitionTask,
+  postponeToTomorrow,
+  updateTask,
+  deleteTask,
+  snoozeReminder,
+  migrateNaiveDeadlines,
+};
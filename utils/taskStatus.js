@@ -0,0 +1,62 @@
+// utils/taskStatus.js
+// Single task lifecycle: todo -> in-progress -> done, and archived for tasks
+// the user wants out of the way. Replaces the old `completed` boolean (UI
+// tasks) and `status: "pending"` (AI-created tasks).
+
+const TASK_STATUSES = ["todo", "in-progress", "done", "archived"];
+// Statuses that still need doing - reminders and pressure only look at these
+const OPEN_STATUSES = ["todo", "in-progress"];
+
+const isOpen = (task) => OPEN_STATUSES.includes(task.status);
+
+// Overdue is derived, not a status: still open with its deadline passed
+const isOverdue = (task, now = new Date()) =>
+  isOpen(task) && !!task.deadline && new Date(task.deadline) < now;
+
+// Maps any legacy task shape to the unified status
+const normalizeStatus = (task) => {
+  if (TASK_STATUSES.includes(task.status)) return task.status;
+  if (task.status === "completed" || task.completed === true) return "done";
+  return "todo";
+};
+
+// One-off, idempotent migration run at startup
+async function migrateTaskStatuses(db) {
+  const tasks = db.collection("tasks");
+  const legacy = await tasks
+    .find({
+      $or: [
+        { completed: { $exists: true } },
+        { status: { $nin: TASK_STATUSES } },
+      ],
+    })
+    .toArray();
+
+  if (legacy.length === 0) return 0;
+
+  const ops = legacy.map((task) => {
+    const status = normalizeStatus(task);
+    const $set = { status };
+    if (status === "done" && !task.completedAt) {
+      $set.completedAt = task.updatedAt || task.createdAt || new Date();
+    }
+    return {
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set, $unset: { completed: "" } },
+      },
+    };
+  });
+
+  await tasks.bulkWrite(ops, { ordered: false });
+  console.log(`🔄 Migrated ${ops.length} tasks to the unified status model`);
+  return ops.length;
+}
+
+module.exports = {
+  TASK_STATUSES,
+  OPEN_STATUSES,
+  isOpen,
+  isOverdue,
+  migrateTaskStatuses,
+};
@@ -0,0 +1,29 @@
+// utils/telegramActions.js
+// Inline keyboard attached to task reminders. Callback data stays well
+// under Telegram's 64-byte limit: "<action>:<taskId>[:<minutes>]".
+
+const ACTION_PATTERN = /^(done|snooze|tomorrow):([a-f0-9]{24})(?::(\d+))?$/;
+
+const taskKeyboard = (taskId) => ({
+  inline_keyboard: [
+    [
+      { text: "✅ Done", callback_data: `done:${taskId}` },
+      { text: "💤 10m", callback_data: `snooze:${taskId}:10` },
+      { text: "💤 1h", callback_data: `snooze:${taskId}:60` },
+      { text: "📆 Tomorrow", callback_data: `tomorrow:${taskId}` },
+    ],
+  ],
+});
+
+// Returns { action, taskId, minutes } or null
+const parseAction = (data) => {
+  const match = String(data || "").match(ACTION_PATTERN);
+  if (!match) return null;
+  return {
+    action: match[1],
+    taskId: match[2],
+    minutes: match[3] ? Number(match[3]) : null,
+  };
+};
+
+module.exports = { ACTION_PATTERN, taskKeyboard, parseAction };
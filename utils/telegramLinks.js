@@ -0,0 +1,167 @@
+// utils/telegramLinks.js
+// Telegram chats linked to Overlax users, one document per chat:
+//   { uid, chatId, username, linkedAt, preferences: { reminders, digests } }
+// Replaces the old chatIds.json file shared by the bot and the API.
+const crypto = require("crypto");
+const fs = require("fs");
+
+const COLLECTION = "telegram_links";
+const TOKEN_COLLECTION = "telegram_link_tokens";
+// Deep-link tokens are single use and expire after 10 minutes
+const LINK_TOKEN_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_PREFERENCES = { reminders: true, digests: true };
+
+const links = (db) => db.collection(COLLECTION);
+const linkTokens = (db) => db.collection(TOKEN_COLLECTION);
+
+// Only a hash is stored, so a database leak does not expose live tokens
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+async function ensureTelegramLinkIndexes(db) {
+  await links(db).createIndex({ chatId: 1 }, { unique: true });
+  await links(db).createIndex({ uid: 1 });
+  await linkTokens(db).createIndex({ tokenHash: 1 }, { unique: true });
+  // MongoDB removes expired tokens on its own
+  await linkTokens(db).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+// Issues a token for t.me/<bot>?start=<token>. Telegram allows up to 64
+// characters of [A-Za-z0-9_-] in the start payload.
+async function createLinkToken(db, uid) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const expiresAt = new Date(Date.now() + LINK_TOKEN_TTL_MS);
+
+  // Any older, unused token of this user stops working
+  await linkTokens(db).deleteMany({ uid, usedAt: null });
+  await linkTokens(db).insertOne({
+    tokenHash: hashToken(token),
+    uid,
+    createdAt: new Date(),
+    expiresAt,
+    usedAt: null,
+  });
+
+  return { token, expiresAt };
+}
+
+// Marks the token used and returns its uid, or null when the token is
+// unknown, expired or already used
+async function consumeLinkToken(db, token, chatId) {
+  if (typeof token !== "string" || !/^[A-Za-z0-9_-]{16,64}$/.test(token)) {
+    return null;
+  }
+
+  const now = new Date();
+  const entry = await linkTokens(db).findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now, chatId: String(chatId) } }
+  );
+  return entry?.uid || null;
+}
+
+// Links (or re-links) a chat to a user. Returns the stored document.
+async function linkChat(db, { chatId, uid, username = null }) {
+  return links(db).findOneAndUpdate(
+    { chatId: String(chatId) },
+    {
+      $set: { uid, username, updatedAt: new Date() },
+      $setOnInsert: {
+        chatId: String(chatId),
+        linkedAt: new Date(),
+        preferences: DEFAULT_PREFERENCES,
+      },
+    },
+    { upsert: true, returnDocument: "after" }
+  );
+}
+
+// Returns true when a link was removed
+async function unlinkChat(db, chatId) {
+  const result = await links(db).deleteOne({ chatId: String(chatId) });
+  return result.deletedCount > 0;
+}
+
+const findLinkByChat = (db, chatId) =>
+  links(db).findOne({ chatId: String(chatId) });
+
+const findLinksByUid = (db, uid) => links(db).find({ uid }).toArray();
+
+// Chats of `uid` that want notifications of `type` ("reminders"/"digests")
+const findNotifiableChats = (db, uid, type) =>
+  links(db)
+    .find({ uid, [`preferences.${type}`]: { $ne: false } })
+    .toArray();
+
+// Updates preferences on every chat the user has linked
+async function updatePreferences(db, uid, preferences) {
+  const $set = { updatedAt: new Date() };
+  for (const [key, value] of Object.entries(preferences)) {
+    $set[`preferences.${key}`] = value;
+  }
+  const result = await links(db).updateMany({ uid }, { $set });
+  return result.matchedCount;
+}
+
+// Remembers the task ids behind the numbers of the last /tasks or /today
+// list, so "/done 2" refers to what the user just saw
+async function rememberTaskList(db, chatId, taskIds) {
+  await links(db).updateOne(
+    { chatId: String(chatId) },
+    { $set: { lastList: taskIds, lastListAt: new Date() } }
+  );
+}
+
+// One-time import of the legacy chatIds.json. The file is renamed once
+// imported, so later startups skip it.
+async function importChatIdsFile(db, filePath) {
+  if (!fs.existsSync(filePath)) return 0;
+
+  let entries = [];
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    console.error("❌ chatIds.json import failed:", err.message);
+    return 0;
+  }
+
+  let imported = 0;
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    // Chats that never sent a uid were stored as TEMP_NO_UID - nothing to link
+    if (!entry?.chatId || !entry.uid || entry.uid === "TEMP_NO_UID") continue;
+
+    const result = await links(db).updateOne(
+      { chatId: String(entry.chatId) },
+      {
+        $setOnInsert: {
+          chatId: String(entry.chatId),
+          uid: entry.uid,
+          username: null,
+          linkedAt: new Date(),
+          preferences: DEFAULT_PREFERENCES,
+        },
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount) imported++;
+  }
+
+  fs.renameSync(filePath, `${filePath}.imported`);
+  console.log(`📥 Imported ${imported} Telegram links from chatIds.json`);
+  return imported;
+}
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  ensureTelegramLinkIndexes,
+  createLinkToken,
+  consumeLinkToken,
+  linkChat,
+  unlinkChat,
+  findLinkByChat,
+  findLinksByUid,
+  findNotifiableChats,
+  updatePreferences,
+  rememberTaskList,
+  importChatIdsFile,
+};
@@ -0,0 +1,143 @@
+// utils/timezone.js
+// Wall-clock helpers for IANA time zones ("Asia/Dhaka"), built on Intl so
+// no extra dependency is needed. Without a zone the server's own is used.
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The calendar date and time `date` shows on a clock in `timeZone`
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+// How far `timeZone`'s clock is ahead of UTC at `date`, in ms
+const offsetAt = (date, timeZone) => {
+  const { dateKey, hour, minute } = zonedParts(date, timeZone);
+  const [y, m, d] = dateKey.split("-").map(Number);
+  const asUtc = Date.UTC(y, m - 1, d, hour, minute);
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+// The instant a clock in `timeZone` shows `minutes` after midnight on
+// `dateKey` ("2025-11-20"). Times skipped by a DST jump move forward.
+const zonedTimeToUtc = (dateKey, minutes, timeZone) => {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, 0, minutes);
+  // The offset at the guess can differ from the offset at the answer
+  // around DST changes, so try the corrected offset too
+  const first = wallClock - offsetAt(new Date(wallClock), timeZone);
+  const second = wallClock - offsetAt(new Date(first), timeZone);
+  const shows = (utc) => {
+    const parts = zonedParts(new Date(utc), timeZone);
+    return (
+      parts.dateKey === dateKey && parts.hour * 60 + parts.minute === minutes
+    );
+  };
+  if (shows(first)) return new Date(first);
+  if (shows(second)) return new Date(second);
+  return new Date(Math.max(first, second));
+};
+
+// "2025-11-30" + 1 -> "2025-12-01"
+const addDays = (dateKey, days) => {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
+
+// Deadline input -> UTC ISO string, or null when invalid
+//   "2025-11-20"           09:00 in `timeZone`
+//   "2025-11-20T17:30"     17:30 in `timeZone`
+//   "2025-11-20T11:30:00Z" taken as is (any explicit offset is)
+const DEFAULT_DEADLINE_MINUTES = 9 * 60;
+const parseDeadline = (value, timeZone) => {
+  if (value instanceof Date) return isNaN(value) ? null : value.toISOString();
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  const local = value
+    .trim()
+    .match(
+      /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/
+    );
+  if (local) {
+    const [, dateKey, hour, minute, second] = local;
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    if (isNaN(date) || date.toISOString().slice(0, 10) !== dateKey) {
+      return null;
+    }
+    if (hour !== undefined && (Number(hour) > 23 || Number(minute) > 59)) {
+      return null;
+    }
+
+    const minutes =
+      hour === undefined
+        ? DEFAULT_DEADLINE_MINUTES
+        : Number(hour) * 60 + Number(minute);
+    const utc = zonedTimeToUtc(dateKey, minutes, timeZone);
+    return new Date(utc.getTime() + Number(second || 0) * 1000).toISOString();
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+};
+
+const isValidLocale = (locale) => {
+  if (typeof locale !== "string" || !locale) return false;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch {
+    return false;
+  }
+};
+
+// "Nov 20, 2025, 5:30 PM" in the user's zone and language
+const formatDateTime = (date, timeZone, locale) =>
+  new Date(date).toLocaleString(locale || "en-US", {
+    timeZone: timeZone || undefined,
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// "08:30" -> 510 minutes after midnight, or null
+const parseClockTime = (value) => {
+  const match = String(value).match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+module.exports = {
+  isValidTimeZone,
+  isValidLocale,
+  zonedParts,
+  zonedTimeToUtc,
+  addDays,
+  parseDeadline,
+  formatDateTime,
+  parseClockTime,
+};
@@ -0,0 +1,23 @@
+// utils/verifyToken.js
+const admin = require("./firebaseAdmin");
+
+// TOKEN VERIFY MIDDLEWARE
+async function verifyToken(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "No token provided" });
+  }
+
+  const token = authHeader.split(" ")[1];
+  try {
+    const decoded = await admin.auth().verifyIdToken(token);
+    req.user = decoded;
+    console.log("✅ Token verified for user:", decoded.uid);
+    next();
+  } catch (err) {
+    console.error("❌ Token verification failed:", err.message);
+    return res.status(401).json({ error: "Invalid token" });
+  }
+}
+
+module.exports = verifyToken;